@@ -32,6 +32,26 @@ async function build() {
     platform: "browser",
   });
 
+  // Options page script; options.html is copied alongside it below
+  await esbuild.build({
+    ...commonOptions,
+    entryPoints: ["src/options/options.js"],
+    outfile: "dist/options.js",
+    format: "iife",
+    platform: "browser",
+  });
+  fs.copyFileSync("src/options/options.html", "dist/options.html");
+
+  // Toolbar popup with the free-text converter
+  await esbuild.build({
+    ...commonOptions,
+    entryPoints: ["src/popup/popup.js"],
+    outfile: "dist/popup.js",
+    format: "iife",
+    platform: "browser",
+  });
+  fs.copyFileSync("src/popup/popup.html", "dist/popup.html");
+
   // Copy manifest.json, syncing version from package.json
   const pkg = JSON.parse(fs.readFileSync("package.json", "utf8"));
   const manifest = JSON.parse(fs.readFileSync("manifest.json", "utf8"));
@@ -6,6 +6,34 @@ chrome.runtime.onInstalled.addListener(() => {
   });
 });
 
+// Keyboard shortcut: translate the page selection, or fall back to the
+// free-text converter when nothing is selected or the page can't run the
+// content script (browser pages, PDFs).
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== "translate-selection") return;
+
+  let translated = false;
+  if (tab?.id) {
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { type: "TRANSLATE_SELECTION" });
+      translated = response?.translated === true;
+    } catch {
+      // No content script in this tab
+    }
+  }
+
+  if (!translated) openConverter();
+});
+
+async function openConverter() {
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    // openPopup isn't available everywhere; a small window works instead
+    chrome.windows.create({ url: "popup.html", type: "popup", width: 380, height: 520 });
+  }
+}
+
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId !== "translate-timezone") return;
   if (!tab?.id) return;
@@ -0,0 +1,249 @@
+import { convertParsed, formatWallClock, getUtcOffset, parseSelectedText, parserLanguages } from "../shared/parser.js";
+import { getLocalTimezone, outputFormat } from "../shared/settings.js";
+import { findReferenceDate } from "./page-date.js";
+import { detectTimezones, zoneLabel } from "./timezone-data.js";
+
+const BADGE_ATTR = "data-tz-translator-badge";
+
+// Text inside these never gets badges: code, form fields, and the dialog
+const SKIP_SELECTOR = [
+  "script", "style", "noscript", "template", "textarea", "input", "select",
+  "option", "code", "pre", "svg", "[contenteditable]", `[${BADGE_ATTR}]`,
+  "#__tz-translator-host__",
+].join(",");
+
+const BADGE_STYLES = `
+  :host {
+    all: initial;
+    display: inline;
+  }
+
+  .badge {
+    display: inline-block;
+    margin: 0 2px;
+    padding: 0 4px;
+    font: 500 0.8em/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    color: #4338ca;
+    background: #ede9fe;
+    border-radius: 4px;
+    vertical-align: baseline;
+    white-space: nowrap;
+    cursor: help;
+  }
+`;
+
+// Wait for a burst of page updates to settle before rescanning
+const RESCAN_DELAY_MS = 300;
+
+// What may sit between a time and its zone: "3pm (ET)", "15:00, UTC"
+const ZONE_GAP = /^[\s,(]*$/;
+
+/**
+ * Times in `text` that name their own zone, converted to `targetTZ`.
+ * Times without a zone, or whose zone already agrees with the target at
+ * that moment, are left out so badges only appear where they help. So are
+ * dates without a time ("Jan 5, 2026" would badge as its assumed noon) and
+ * times whose zone is further away than right after them, which is often
+ * another sentence's.
+ *
+ * @param {string} text
+ * @param {string} targetTZ
+ * @param {object} [opts] - Ranking context and strict mode, see parseSelectedText
+ * @param {object} [format] - Locale and clock, see outputFormat
+ * @returns {Array<{ index: number, end: number, label: string, title: string }>}
+ *   `end` is where the badge goes in `text`
+ */
+export function findAnnotations(text, targetTZ, opts, format) {
+  // Cheap checks first: most text nodes have no digits or no zone at all
+  if (!/\d/.test(text) || detectTimezones(text, opts).length === 0) return [];
+
+  const matches = parseSelectedText(text, opts) ?? [];
+  const annotations = [];
+
+  for (const match of matches) {
+    if (!match.timezone || match.explanation.assumptions.includes("time")) continue;
+
+    const matchEnd = match.index + match.text.length;
+    const zoneAt = match.zone.index;
+    if (zoneAt < match.index || (zoneAt > matchEnd && !ZONE_GAP.test(text.slice(matchEnd, zoneAt)))) continue;
+
+    let conv;
+    try {
+      conv = convertParsed(match, match.timezone, targetTZ, format);
+    } catch {
+      continue;
+    }
+
+    const utc = conv.startUTC;
+    if (getUtcOffset(utc, match.timezone) === getUtcOffset(utc, targetTZ)) continue;
+
+    annotations.push({
+      index: match.index,
+      end: matchEnd,
+      label: badgeLabel(conv, targetTZ, format),
+      title: `${match.text} (${zoneLabel(match.timezone)})\n= ${conv.displayDate}, ${conv.displayTime} ${conv.displayTZ}`,
+    });
+  }
+
+  return annotations;
+}
+
+/**
+ * "3:00 PM", or "Tue 3:00 AM" when the converted time falls on another day
+ * than the one written.
+ */
+function badgeLabel(conv, tz, format) {
+  // As a floating wall clock, in the Date's UTC fields
+  const converted = new Date(conv.startUTC.getTime() + getUtcOffset(conv.startUTC, tz) * 60 * 1000);
+  const time = formatWallClock(converted, { hour: "numeric", minute: "2-digit" }, format);
+
+  if (conv.dayDelta === 0) return time;
+  const weekday = formatWallClock(converted, { weekday: "short" }, format);
+  return `${weekday} ${time}`;
+}
+
+let observer = null;
+let pending = new Set();
+let rescanTimer = null;
+
+// Page text node → what badging put after it: badges and the text split
+// off it. The page's framework only knows the first piece, so when it
+// rewrites that piece's text, the rest is stale and has to go.
+let splits = new WeakMap();
+
+/**
+ * Badge every zoned time on the page with its conversion to the user's
+ * target zone, and keep badging as the page changes (SPAs like Slack or
+ * GitHub render most of their text after load).
+ *
+ * @param {object} settings - Loaded user settings (see settings.js)
+ */
+export function startAnnotating(settings) {
+  stopAnnotating();
+
+  const targetTZ = settings.defaultTargetTZ || getLocalTimezone();
+  const opts = {
+    preferences: settings.abbreviationPreferences,
+    strict: settings.strictAbbreviations,
+    languages: parserLanguages(document.documentElement.lang),
+    referenceDate: settings.usePageDates ? findReferenceDate(document.body)?.date : undefined,
+    forwardDate: settings.forwardDates,
+  };
+  const format = outputFormat(settings);
+
+  const scan = (root) => annotateTree(root, targetTZ, opts, format);
+
+  observer = new MutationObserver((records) => {
+    for (const record of records) {
+      if (record.type === "characterData") {
+        // Edited text: drop its old badges and look at it again
+        undoSplit(record.target);
+        pending.add(record.target);
+      } else {
+        record.addedNodes.forEach((node) => pending.add(node));
+      }
+    }
+
+    clearTimeout(rescanTimer);
+    rescanTimer = setTimeout(() => {
+      const roots = [...pending];
+      pending = new Set();
+      roots.filter((node) => node.isConnected).forEach(scan);
+
+      // Our own badges and text splits are not page changes
+      observer?.takeRecords();
+    }, RESCAN_DELAY_MS);
+  });
+
+  scan(document.body);
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+/**
+ * Stop watching the page and remove every badge, restoring the text as it was.
+ */
+export function stopAnnotating() {
+  observer?.disconnect();
+  observer = null;
+  clearTimeout(rescanTimer);
+  pending = new Set();
+  splits = new WeakMap();
+
+  for (const badge of document.querySelectorAll(`[${BADGE_ATTR}]`)) {
+    const parent = badge.parentNode;
+    badge.remove();
+    parent?.normalize();
+  }
+}
+
+function annotateTree(root, targetTZ, opts, format) {
+  if (root.nodeType === Node.TEXT_NODE) {
+    if (!root.parentElement?.closest(SKIP_SELECTOR)) annotateTextNode(root, targetTZ, opts, format);
+    return;
+  }
+  if (root.nodeType !== Node.ELEMENT_NODE || root.closest(SKIP_SELECTOR)) return;
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentElement?.closest(SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+  });
+
+  // Collect first: badging splits text nodes, which would confuse the walker
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  nodes.forEach((node) => annotateTextNode(node, targetTZ, opts, format));
+}
+
+function annotateTextNode(node, targetTZ, opts, format) {
+  // Already badged: each split piece ends where its badge starts
+  if (isBadge(node.nextSibling)) return;
+
+  const annotations = findAnnotations(node.data, targetTZ, opts, format);
+
+  if (annotations.length === 0) return;
+
+  // Last first, so earlier offsets stay valid as the node is split
+  const added = [];
+  for (const { end, label, title } of annotations.reverse()) {
+    const rest = node.splitText(end);
+    const badge = createBadge(label, title);
+    node.parentNode.insertBefore(badge, rest);
+    added.push(badge, rest);
+  }
+  splits.set(node, added);
+}
+
+function createBadge(label, title) {
+  const host = document.createElement("span");
+  host.setAttribute(BADGE_ATTR, "");
+  host.title = title;
+
+  const shadow = host.attachShadow({ mode: "closed" });
+
+  const style = document.createElement("style");
+  style.textContent = BADGE_STYLES;
+  shadow.appendChild(style);
+
+  const badge = document.createElement("span");
+  badge.className = "badge";
+  badge.textContent = label;
+  shadow.appendChild(badge);
+
+  return host;
+}
+
+function isBadge(node) {
+  return node?.nodeType === Node.ELEMENT_NODE && node.hasAttribute(BADGE_ATTR);
+}
+
+// The node's text was rewritten: it holds the whole new text, so what was
+// split off it goes along with its badges
+function undoSplit(node) {
+  const added = splits.get(node);
+  if (added) {
+    added.forEach((n) => n.remove());
+    splits.delete(node);
+  } else if (isBadge(node.nextSibling)) {
+    node.nextSibling.remove();
+  }
+}
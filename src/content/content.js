@@ -1,15 +1,107 @@
-import { parseSelectedText } from "../shared/parser.js";
+import { parseSelectedText, parserLanguages } from "../shared/parser.js";
+import { loadSettings } from "../shared/settings.js";
 import { detectTimezone } from "./timezone-data.js";
 import { showDialog } from "./dialog.js";
+import { findReferenceDate } from "./page-date.js";
+import { startAnnotating, stopAnnotating } from "./annotator.js";
+
+// Settings that change what the page badges show
+const ANNOTATION_SETTINGS = [
+  "annotatePages", "defaultTargetTZ", "abbreviationPreferences", "strictAbbreviations", "outputLocale", "hourCycle",
+  "forwardDates", "usePageDates",
+];
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === "TRANSLATE_SELECTION") {
+    const text = currentSelection();
+    if (text) translate(text);
+    sendResponse({ translated: Boolean(text) });
+    return;
+  }
 
-chrome.runtime.onMessage.addListener((message) => {
   if (message.type !== "TRANSLATE_TIMEZONE") return;
 
   const { selectedText } = message;
   if (!selectedText) return;
 
-  const parsed = parseSelectedText(selectedText);
-  const detectedTZ = detectTimezone(selectedText);
+  translate(selectedText);
+});
+
+/**
+ * The text selected on the page, including inside a focused text field,
+ * which window.getSelection() doesn't see.
+ */
+function currentSelection() {
+  const el = document.activeElement;
+  if (el && typeof el.selectionStart === "number" && /^(TEXTAREA|INPUT)$/.test(el.tagName)) {
+    const text = el.value.slice(el.selectionStart, el.selectionEnd).trim();
+    if (text) return text;
+  }
+  return window.getSelection()?.toString().trim() ?? "";
+}
+
+// Elements whose text is a plausible event title around a selected time
+const CONTEXT_SELECTOR = "p, li, td, th, dt, dd, h1, h2, h3, h4, h5, h6, blockquote, div";
+const MAX_CONTEXT_LENGTH = 300;
+
+/**
+ * Text of the block around the selection ("Keynote — July 15, 3pm EST"),
+ * used to title calendar events. Empty when that block is too big to be
+ * about just this time.
+ */
+function selectionContext() {
+  const selection = window.getSelection();
+  if (!selection?.rangeCount) return "";
+
+  let node = selection.getRangeAt(0).commonAncestorContainer;
+  if (node.nodeType === Node.TEXT_NODE) node = node.parentElement;
+
+  const text = (node?.closest(CONTEXT_SELECTOR) ?? node)?.innerText?.trim() ?? "";
+  return text.length <= MAX_CONTEXT_LENGTH ? text : "";
+}
 
-  showDialog({ selectedText, parsed, detectedTZ });
+/**
+ * Element holding the selection, or the focused text field.
+ * @returns {Element|null}
+ */
+function selectionElement() {
+  const selection = window.getSelection();
+  let node = selection?.rangeCount ? selection.getRangeAt(0).commonAncestorContainer : document.activeElement;
+  if (node?.nodeType === Node.TEXT_NODE) node = node.parentElement;
+  return node instanceof Element ? node : null;
+}
+
+async function translate(selectedText) {
+  const settings = await loadSettings();
+  const node = selectionElement();
+
+  // Language from the nearest `lang` attribute, so chrono tries that
+  // language's parser first
+  const lang = node?.closest("[lang]")?.lang || document.documentElement.lang;
+  const reference = settings.usePageDates ? findReferenceDate(node) : null;
+
+  const zoneOpts = {
+    preferences: settings.abbreviationPreferences,
+    strict: settings.strictAbbreviations,
+    languages: parserLanguages(lang),
+    referenceDate: reference?.date,
+    forwardDate: settings.forwardDates,
+  };
+
+  const matches = parseSelectedText(selectedText, { ...zoneOpts, anyLanguage: true });
+  const detectedTZ = detectTimezone(selectedText, zoneOpts);
+
+  showDialog({ selectedText, matches, detectedTZ, settings, context: selectionContext(), reference });
+}
+
+async function syncAnnotations() {
+  const settings = await loadSettings();
+  if (settings.annotatePages) startAnnotating(settings);
+  else stopAnnotating();
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && ANNOTATION_SETTINGS.some((key) => key in changes)) syncAnnotations();
 });
+
+syncAnnotations();
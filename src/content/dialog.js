@@ -1,9 +1,39 @@
-import { ALL_TIMEZONES } from "./timezone-data.js";
-import { convertParsed } from "../shared/parser.js";
+import { formatOffset, strictZone, zoneLabel } from "./timezone-data.js";
+import {
+  convertParsed,
+  disambiguateByName,
+  findConflicts,
+  formatDayDelta,
+  formatTime,
+  formatWallClock,
+  getUtcOffset,
+  getZoneAbbreviation,
+  localTimeChanges,
+  nextOccurrence,
+  recurrenceOccurrences,
+  seasonMismatch,
+  wallClockToUTC,
+} from "../shared/parser.js";
+import { getLocalTimezone, outputFormat, saveSettings } from "../shared/settings.js";
+import {
+  buildICS,
+  eventEnd,
+  eventSummary,
+  googleCalendarUrl,
+  outlookCalendarUrl,
+} from "../shared/calendar.js";
+import { COPY_FORMATS, formatCopyText } from "../shared/copy-formats.js";
+import { eventTiming, formatCountdown, relativeTime } from "../shared/relative-time.js";
+import { describeRecurrence, toRRule } from "../shared/recurrence.js";
+import { saveHistoryEntry } from "../shared/history.js";
+import { PLANNER_STYLES, renderPlanner } from "./planner-view.js";
+import { createZonePicker, ZONE_PICKER_STYLES } from "./zone-picker.js";
 
 const STYLES = `
   *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
 
+  [hidden] { display: none !important; }
+
   :host {
     all: initial;
     display: block;
@@ -26,16 +56,18 @@ const STYLES = `
     box-shadow: 0 8px 40px rgba(0,0,0,0.25);
     width: 480px;
     max-width: calc(100vw - 32px);
-    overflow: hidden;
     z-index: 2147483647;
   }
 
+  /* Rounded here rather than overflow: hidden on .dialog, so the timezone
+     pickers' dropdowns can extend past the dialog's edge */
   .header {
     display: flex;
     align-items: center;
     justify-content: space-between;
     padding: 14px 16px;
     background: #1a1a2e;
+    border-radius: 12px 12px 0 0;
     color: #fff;
   }
 
@@ -90,6 +122,53 @@ const STYLES = `
     color: #444;
   }
 
+  .selected-text mark {
+    color: inherit;
+    background: #e0e7ff;
+    border-radius: 3px;
+  }
+  .selected-text mark.zone {
+    background: #dcfce7;
+  }
+  .selected-text mark.recurrence,
+  .selected-text mark.duration {
+    background: #f3e8ff;
+  }
+
+  .parsed-summary .confidence {
+    margin-left: 6px;
+    padding: 0 6px;
+    border-radius: 999px;
+    font-size: 11px;
+    font-weight: 500;
+    color: #166534;
+    background: #dcfce7;
+  }
+  .parsed-summary .confidence.medium {
+    color: #b45309;
+    background: #fef3c7;
+  }
+  .parsed-summary .confidence.low {
+    color: #b91c1c;
+    background: #fee2e2;
+  }
+
+  .assumption-note {
+    font-size: 12px;
+    color: #b45309;
+    background: #fffbeb;
+    border: 1px solid #fcd34d;
+    border-radius: 6px;
+    padding: 6px 8px;
+    margin: -6px 0 14px;
+  }
+
+  .reference-note {
+    font-size: 12px;
+    color: #777;
+    margin: -10px 0 14px;
+  }
+
   .row {
     display: flex;
     align-items: center;
@@ -97,6 +176,10 @@ const STYLES = `
     margin-bottom: 10px;
   }
 
+  .row.wrap {
+    flex-wrap: wrap;
+  }
+
   .row label {
     font-size: 13px;
     font-weight: 500;
@@ -132,14 +215,218 @@ const STYLES = `
     flex-shrink: 0;
   }
 
-  .result-box {
+  .swap-btn {
+    flex-shrink: 0;
+    width: 30px;
+    height: 30px;
+    font-size: 15px;
+    line-height: 1;
+    background: #fff;
+    color: #4338ca;
+    border: 1px solid #c7d2fe;
+    border-radius: 6px;
+    cursor: pointer;
+  }
+  .swap-btn:hover { background: #f0f4ff; }
+
+  .results {
     margin-top: 14px;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    max-height: 50vh;
+    overflow-y: auto;
+  }
+
+  .ambiguous {
+    flex-basis: 100%;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding-left: 50px;
+  }
+
+  .ambiguous-badge {
+    font-size: 11px;
+    color: #b45309;
+    background: #fef3c7;
+    border-radius: 4px;
+    padding: 2px 6px;
+    white-space: nowrap;
+    flex-shrink: 0;
+  }
+
+  .ambiguous select {
+    font-size: 12px;
+    padding: 3px 6px;
+  }
+
+  .result-box {
     background: #f0f4ff;
     border: 1px solid #c7d2fe;
     border-radius: 8px;
     padding: 14px 16px;
   }
 
+  .result-source {
+    font-size: 12px;
+    color: #6b7280;
+    margin-bottom: 6px;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .zone-tag {
+    margin-left: 6px;
+    font-size: 11px;
+    color: #6366f1;
+    background: #ede9fe;
+    border-radius: 4px;
+    padding: 1px 5px;
+  }
+
+  .conflict-note {
+    font-size: 12px;
+    color: #b45309;
+    background: #fffbeb;
+    border: 1px solid #fcd34d;
+    border-radius: 6px;
+    padding: 4px 8px;
+    margin-bottom: 8px;
+  }
+
+  .dst-note,
+  .season-note {
+    font-size: 12px;
+    color: #b45309;
+    background: #fffbeb;
+    border: 1px solid #fcd34d;
+    border-radius: 6px;
+    padding: 6px 8px;
+    margin-top: 8px;
+  }
+
+  .dst-choice {
+    display: flex;
+    gap: 6px;
+    margin-top: 6px;
+  }
+
+  .dst-choice button {
+    font-size: 12px;
+    padding: 3px 8px;
+    background: #fff;
+    color: #92400e;
+    border: 1px solid #fcd34d;
+    border-radius: 4px;
+    cursor: pointer;
+  }
+  .dst-choice button.active {
+    background: #f59e0b;
+    border-color: #f59e0b;
+    color: #fff;
+  }
+
+  /* What the text was read as, beside what it converts to */
+  .result-sides {
+    display: flex;
+    gap: 12px;
+  }
+
+  .result-side {
+    flex: 1;
+    min-width: 0;
+  }
+
+  .source-side {
+    border-right: 1px solid #c7d2fe;
+    padding-right: 12px;
+  }
+
+  .timing {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 4px 8px;
+    margin-top: 8px;
+    font-size: 12px;
+    color: #4338ca;
+    font-variant-numeric: tabular-nums;
+  }
+  .timing.past { color: #6b7280; }
+
+  .next-btn {
+    font-size: 12px;
+    padding: 2px 8px;
+    background: #fff;
+    color: #4338ca;
+    border: 1px solid #c7d2fe;
+    border-radius: 4px;
+    cursor: pointer;
+  }
+  .next-btn:hover { background: #f0f4ff; }
+
+  .recurrence {
+    margin-top: 8px;
+    font-size: 12px;
+    color: #374151;
+  }
+
+  .recurrence-rule {
+    font-weight: 600;
+    color: #4338ca;
+  }
+
+  .recurrence-list {
+    list-style: none;
+    margin: 4px 0 0;
+    padding: 0;
+    font-variant-numeric: tabular-nums;
+  }
+  .recurrence-list li { padding: 1px 0; }
+  .recurrence-list li.shifted {
+    font-weight: 600;
+    color: #9a3412;
+  }
+
+  .recurrence-note {
+    margin-top: 6px;
+    color: #b45309;
+    background: #fffbeb;
+    border: 1px solid #fcd34d;
+    border-radius: 6px;
+    padding: 6px 8px;
+  }
+
+  .side-label {
+    font-size: 11px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.04em;
+    color: #6b7280;
+    margin-bottom: 4px;
+  }
+
+  .source-date {
+    font-size: 13px;
+    font-weight: 600;
+    color: #374151;
+    margin-bottom: 4px;
+  }
+
+  .source-time {
+    font-size: 18px;
+    font-weight: 700;
+    color: #374151;
+    margin-bottom: 4px;
+  }
+
+  .source-zone {
+    font-size: 12px;
+    color: #6b7280;
+  }
+
   .result-date {
     font-size: 14px;
     font-weight: 600;
@@ -147,6 +434,18 @@ const STYLES = `
     margin-bottom: 4px;
   }
 
+  .day-shift {
+    display: inline-block;
+    font-size: 12px;
+    font-weight: 700;
+    color: #9a3412;
+    background: #ffedd5;
+    border: 1px solid #fdba74;
+    border-radius: 10px;
+    padding: 1px 8px;
+    margin-bottom: 4px;
+  }
+
   .result-time {
     font-size: 22px;
     font-weight: 700;
@@ -159,6 +458,61 @@ const STYLES = `
     color: #6366f1;
   }
 
+  .target-list:not(:empty) {
+    margin-top: 10px;
+    border-top: 1px solid #c7d2fe;
+    padding-top: 6px;
+  }
+
+  .target-row {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 13px;
+    padding: 3px 0;
+  }
+
+  .target-zone {
+    flex: 1;
+    color: #6366f1;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .target-time {
+    font-weight: 600;
+    color: #312e81;
+    white-space: nowrap;
+  }
+
+  .target-shift {
+    font-size: 11px;
+    font-weight: 700;
+    color: #9a3412;
+    background: #ffedd5;
+    border-radius: 8px;
+    padding: 0 6px;
+    white-space: nowrap;
+  }
+
+  .target-remove {
+    background: none;
+    border: none;
+    color: #999;
+    font-size: 15px;
+    line-height: 1;
+    cursor: pointer;
+    padding: 0 4px;
+    border-radius: 4px;
+  }
+  .target-remove:hover { color: #b91c1c; }
+
+  .add-target {
+    margin-top: 10px;
+    margin-bottom: 0;
+  }
+
   .error-box {
     margin-top: 14px;
     background: #fff0f0;
@@ -170,9 +524,41 @@ const STYLES = `
     text-align: center;
   }
 
-  .copy-btn {
+  .actions {
+    display: flex;
+    gap: 8px;
     margin-top: 12px;
-    width: 100%;
+  }
+
+  .copy-format {
+    flex: 0 1 auto;
+    width: auto;
+    min-width: 0;
+  }
+
+  .template-row {
+    margin-top: 10px;
+    margin-bottom: 0;
+  }
+
+  .template-row input {
+    flex: 1;
+    min-width: 0;
+    font-size: 13px;
+    font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    padding: 6px 8px;
+    border: 1px solid #d0d0d8;
+    border-radius: 6px;
+    color: #222;
+    outline: none;
+  }
+  .template-row input:focus {
+    border-color: #6366f1;
+    box-shadow: 0 0 0 2px rgba(99,102,241,0.15);
+  }
+
+  .copy-btn {
+    flex: 1;
     padding: 9px;
     background: #6366f1;
     color: #fff;
@@ -186,31 +572,91 @@ const STYLES = `
   .copy-btn:hover { background: #4f46e5; }
   .copy-btn:active { background: #4338ca; }
   .copy-btn.copied { background: #16a34a; }
-`;
 
-function buildTimezoneOptions(selectedTZ) {
-  return ALL_TIMEZONES.map((tz) => {
-    const opt = document.createElement("option");
-    opt.value = tz;
-    opt.textContent = tz.replace(/_/g, " ");
-    if (tz === selectedTZ) opt.selected = true;
-    return opt;
-  });
-}
+  .calendar-btn {
+    padding: 9px 12px;
+    background: #fff;
+    color: #4338ca;
+    border: 1px solid #c7d2fe;
+    border-radius: 7px;
+    font-size: 14px;
+    font-weight: 500;
+    cursor: pointer;
+  }
+  .calendar-btn:hover { background: #f0f4ff; }
+  .calendar-btn[aria-expanded="true"] { background: #ede9fe; }
 
-function getLocalTimezone() {
-  return Intl.DateTimeFormat().resolvedOptions().timeZone;
-}
+  .calendar-panel,
+  .plan-panel {
+    margin-top: 10px;
+    padding: 10px 12px;
+    background: #f5f5f7;
+    border-radius: 8px;
+  }
+
+  .calendar-panel input {
+    flex: 1;
+    min-width: 0;
+    font-size: 13px;
+    font-family: inherit;
+    padding: 6px 8px;
+    border: 1px solid #d0d0d8;
+    border-radius: 6px;
+    color: #222;
+    outline: none;
+  }
+  .calendar-panel input:focus {
+    border-color: #6366f1;
+    box-shadow: 0 0 0 2px rgba(99,102,241,0.15);
+  }
+
+  .calendar-links {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    font-size: 13px;
+  }
+
+  .calendar-links a,
+  .calendar-links button {
+    font-size: 13px;
+    font-family: inherit;
+    color: #4338ca;
+    background: none;
+    border: none;
+    padding: 0;
+    cursor: pointer;
+    text-decoration: underline;
+  }
+
+  .calendar-event {
+    display: flex;
+    gap: 10px;
+    white-space: nowrap;
+  }
+
+  .calendar-event-label {
+    flex: 1;
+    color: #555;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+`;
 
 /**
  * Show the timezone translation dialog.
  *
  * @param {object} opts
  * @param {string} opts.selectedText      - The raw selected text
- * @param {{ start: Date, end: Date|null, hasRange: boolean } | null} opts.parsed
+ * @param {Array<{ text: string, start: Date, end: Date|null, hasRange: boolean, timezone: string|null }> | null} opts.matches
+ *                                        - Every date/time parsed from the text
  * @param {string | null} opts.detectedTZ - IANA tz detected from text, or null
+ * @param {object} opts.settings          - Loaded user settings (see settings.js)
+ * @param {string} [opts.context]         - Text around the selection, for event titles
+ * @param {{ date: Date, source: string }|null} [opts.reference] - Date relative dates were read
+ *   against, see findReferenceDate; null for today
  */
-export function showDialog({ selectedText, parsed, detectedTZ }) {
+export function showDialog({ selectedText, matches, detectedTZ, settings, context = "", reference = null }) {
   // Remove any existing dialog
   removeDialog();
 
@@ -222,7 +668,7 @@ export function showDialog({ selectedText, parsed, detectedTZ }) {
 
   // Styles
   const style = document.createElement("style");
-  style.textContent = STYLES;
+  style.textContent = STYLES + ZONE_PICKER_STYLES + PLANNER_STYLES;
   shadow.appendChild(style);
 
   // Backdrop
@@ -261,15 +707,18 @@ export function showDialog({ selectedText, parsed, detectedTZ }) {
   body.className = "body";
   dialog.appendChild(body);
 
-  // Selected text
+  // Locale and clock for every date and time shown
+  const format = outputFormat(settings);
+
+  // Selected text, with the parts that were read marked
   const selectedEl = document.createElement("div");
   selectedEl.className = "selected-text";
   selectedEl.title = selectedText;
-  appendQuotedText(selectedEl, selectedText);
+  appendQuotedText(selectedEl, selectedText, matches ? quoteHighlights(matches, format) : []);
   body.appendChild(selectedEl);
 
   // If no date parsed, show error state
-  if (!parsed) {
+  if (!matches) {
     const errBox = document.createElement("div");
     errBox.className = "error-box";
     errBox.textContent = "No date or time found in the selected text.";
@@ -281,12 +730,31 @@ export function showDialog({ selectedText, parsed, detectedTZ }) {
   // Parsed summary
   const parsedSummary = document.createElement("div");
   parsedSummary.className = "parsed-summary";
-  appendParsedSummary(parsedSummary, parsed);
+  appendParsedSummary(parsedSummary, matches, format);
   body.appendChild(parsedSummary);
 
+  // What "Monday" or "July 15" was read against: always worth saying for a
+  // page's date, and for today only when the text left the date open
+  if (reference || matches.some((match) => match.dateGiven !== "full")) {
+    const referenceNote = document.createElement("div");
+    referenceNote.className = "reference-note";
+    referenceNote.textContent = referenceText(reference, settings.forwardDates, format);
+    body.appendChild(referenceNote);
+  }
+
+  // What the text didn't say and was filled in anyway
+  const assumptions = assumptionText(matches, format);
+  if (assumptions) {
+    const assumptionNote = document.createElement("div");
+    assumptionNote.className = "assumption-note";
+    assumptionNote.setAttribute("role", "note");
+    assumptionNote.textContent = assumptions;
+    body.appendChild(assumptionNote);
+  }
+
   const localTZ = getLocalTimezone();
   const fromTZ = detectedTZ || localTZ;
-  const toTZ = localTZ;
+  const toTZ = settings.defaultTargetTZ || localTZ;
 
   // From row
   const fromRow = document.createElement("div");
@@ -295,18 +763,48 @@ export function showDialog({ selectedText, parsed, detectedTZ }) {
   const fromLabel = document.createElement("label");
   fromLabel.textContent = "From:";
 
-  const fromSelect = document.createElement("select");
-  fromSelect.setAttribute("aria-label", "Source timezone");
-  buildTimezoneOptions(fromTZ).forEach((o) => fromSelect.appendChild(o));
+  const fromSelect = createZonePicker({
+    value: fromTZ,
+    favorites: settings.favoriteZones,
+    label: "Source timezone",
+  });
 
   fromRow.appendChild(fromLabel);
-  fromRow.appendChild(fromSelect);
-
-  if (detectedTZ) {
-    const badge = document.createElement("span");
-    badge.className = "detected-badge";
-    badge.textContent = "detected";
-    fromRow.appendChild(badge);
+  fromRow.appendChild(fromSelect.el);
+
+  const detectedBadge = document.createElement("span");
+  detectedBadge.className = "detected-badge";
+  detectedBadge.textContent = "detected";
+  detectedBadge.hidden = !detectedTZ;
+  fromRow.appendChild(detectedBadge);
+
+  // Abbreviation key → zone picked for it in this dialog
+  const zoneChoices = {};
+
+  // The IANA zone a mention names, and the zone its time converts from;
+  // they differ in strict mode, where "EST" is UTC-5 all year
+  const namedZone = (zone) => zoneChoices[zone.key] ?? zone.candidates[0];
+  const sourceZone = (zone) =>
+    settings.strictAbbreviations ? strictZone(zone.key, namedZone(zone)) : namedZone(zone);
+
+  for (const zone of ambiguousZones(matches)) {
+    fromRow.classList.add("wrap");
+    fromRow.appendChild(buildAmbiguousPicker(zone, (tz) => {
+      const previous = sourceZone(zone);
+      zoneChoices[zone.key] = tz;
+
+      // Follow the pick in From too, unless the user chose a source by hand
+      if (!fromOverridden && fromSelect.value === previous) {
+        fromSelect.value = sourceZone(zone);
+      }
+
+      // Remember the choice so it ranks first next time
+      const preferences = { ...settings.abbreviationPreferences, [zone.key]: tz };
+      settings.abbreviationPreferences = preferences;
+      saveSettings({ abbreviationPreferences: preferences }).catch(ignoreStorageError);
+
+      updateResult();
+    }));
   }
 
   body.appendChild(fromRow);
@@ -318,60 +816,545 @@ export function showDialog({ selectedText, parsed, detectedTZ }) {
   const toLabel = document.createElement("label");
   toLabel.textContent = "To:";
 
-  const toSelect = document.createElement("select");
-  toSelect.setAttribute("aria-label", "Target timezone");
-  buildTimezoneOptions(toTZ).forEach((o) => toSelect.appendChild(o));
+  const toSelect = createZonePicker({
+    value: toTZ,
+    favorites: settings.favoriteZones,
+    label: "Target timezone",
+  });
+
+  // Flip the conversion: read the text in the target zone instead
+  const swapBtn = document.createElement("button");
+  swapBtn.className = "swap-btn";
+  swapBtn.textContent = "\u21c5";
+  swapBtn.title = "Swap From and To";
+  swapBtn.setAttribute("aria-label", "Swap source and target timezones");
 
   toRow.appendChild(toLabel);
-  toRow.appendChild(toSelect);
+  toRow.appendChild(toSelect.el);
+  toRow.appendChild(swapBtn);
   body.appendChild(toRow);
 
-  // Result box
-  const resultBox = document.createElement("div");
-  resultBox.className = "result-box";
+  // One result box per parsed date/time
+  const results = document.createElement("div");
+  results.className = "results";
+  body.appendChild(results);
+
+  const resultRows = matches.map((match) => {
+    const resultBox = document.createElement("div");
+    resultBox.className = "result-box";
+
+    // Only label rows with their source text and zone when there's more than one
+    let zoneTag = null;
+    let conflictNote = null;
+    if (matches.length > 1) {
+      const resultSource = document.createElement("div");
+      resultSource.className = "result-source";
+      resultSource.title = match.text;
+      resultSource.appendChild(document.createTextNode(match.text));
+
+      zoneTag = document.createElement("span");
+      zoneTag.className = "zone-tag";
+      resultSource.appendChild(zoneTag);
+      resultBox.appendChild(resultSource);
+
+      conflictNote = document.createElement("div");
+      conflictNote.className = "conflict-note";
+      conflictNote.hidden = true;
+      resultBox.appendChild(conflictNote);
+    }
 
-  const resultDate = document.createElement("div");
-  resultDate.className = "result-date";
+    // Left: the text as read in its source zone
+    const sourceSide = document.createElement("div");
+    sourceSide.className = "result-side source-side";
+
+    const sourceLabel = document.createElement("div");
+    sourceLabel.className = "side-label";
+    sourceLabel.textContent = "As read";
+
+    const sourceDate = document.createElement("div");
+    sourceDate.className = "source-date";
+
+    const sourceTime = document.createElement("div");
+    sourceTime.className = "source-time";
+
+    const sourceZoneEl = document.createElement("div");
+    sourceZoneEl.className = "source-zone";
+
+    sourceSide.append(sourceLabel, sourceDate, sourceTime, sourceZoneEl);
+
+    // Right: the conversion
+    const targetSide = document.createElement("div");
+    targetSide.className = "result-side";
+
+    const targetLabel = document.createElement("div");
+    targetLabel.className = "side-label";
+    targetLabel.textContent = "Converted";
+
+    const resultDate = document.createElement("div");
+    resultDate.className = "result-date";
+
+    // "+1 day · Thursday → Friday", filled in by updateResult
+    const dayShift = document.createElement("div");
+    dayShift.className = "day-shift";
+    dayShift.hidden = true;
+
+    const resultTime = document.createElement("div");
+    resultTime.className = "result-time";
+
+    const resultTZ = document.createElement("div");
+    resultTZ.className = "result-tz";
+
+    // "Starts in 3 hours · 3h 20m 15s", ticking; filled in by renderTimings
+    const timing = document.createElement("div");
+    timing.className = "timing";
+
+    const timingText = document.createElement("span");
+
+    // For a past "Thursday 3pm": jump to the coming Thursday instead
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "next-btn";
+    nextBtn.hidden = true;
+
+    timing.append(timingText, nextBtn);
+
+    // "EST used in summer" warning, filled in by updateResult
+    const seasonNote = document.createElement("div");
+    seasonNote.className = "season-note";
+    seasonNote.hidden = true;
+
+    // DST gap / overlap warning, filled in by updateResult
+    const dstNote = document.createElement("div");
+    dstNote.className = "dst-note";
+    dstNote.hidden = true;
+
+    // "Every Tuesday" and its next dates, filled in by updateResult
+    const recurrence = document.createElement("div");
+    recurrence.className = "recurrence";
+    recurrence.hidden = true;
+
+    // Extra target zones, one compact line each
+    const targetList = document.createElement("div");
+    targetList.className = "target-list";
+
+    targetSide.append(targetLabel, resultDate, dayShift, resultTime, resultTZ);
+
+    const sides = document.createElement("div");
+    sides.className = "result-sides";
+    sides.append(sourceSide, targetSide);
+
+    resultBox.appendChild(sides);
+    resultBox.appendChild(timing);
+    resultBox.appendChild(seasonNote);
+    resultBox.appendChild(dstNote);
+    resultBox.appendChild(recurrence);
+    resultBox.appendChild(targetList);
+    results.appendChild(resultBox);
+
+    return {
+      match,
+      zoneTag,
+      conflictNote,
+      source: { date: sourceDate, time: sourceTime, zone: sourceZoneEl },
+      timing: { el: timing, text: timingText, nextBtn },
+      resultDate,
+      dayShift,
+      resultTime,
+      resultTZ,
+      seasonNote,
+      dstNote,
+      recurrence,
+      targetList,
+    };
+  });
 
-  const resultTime = document.createElement("div");
-  resultTime.className = "result-time";
+  // Extra targets shown under every result, saved between dialogs
+  let extraTargets = [...settings.extraTargets];
 
-  const resultTZ = document.createElement("div");
-  resultTZ.className = "result-tz";
+  function saveTargets(targets) {
+    extraTargets = targets;
+    settings.extraTargets = targets;
+    saveSettings({ extraTargets: targets }).catch(ignoreStorageError);
+    updateResult();
+  }
 
-  resultBox.appendChild(resultDate);
-  resultBox.appendChild(resultTime);
-  resultBox.appendChild(resultTZ);
-  body.appendChild(resultBox);
+  // Add zone control
+  const addRow = document.createElement("div");
+  addRow.className = "row add-target";
+
+  const addSelect = createZonePicker({
+    value: "",
+    favorites: settings.favoriteZones,
+    label: "Add a target timezone",
+    placeholder: "+ Add zone\u2026",
+  });
+  addSelect.addEventListener("change", () => {
+    const tz = addSelect.value;
+    addSelect.value = "";
+    if (tz && !extraTargets.includes(tz)) saveTargets([...extraTargets, tz]);
+  });
+
+  addRow.appendChild(addSelect.el);
+  body.appendChild(addRow);
+
+  // Copy, calendar and planner buttons
+  const actions = document.createElement("div");
+  actions.className = "actions";
+  body.appendChild(actions);
+
+  const formatSelect = document.createElement("select");
+  formatSelect.className = "copy-format";
+  formatSelect.setAttribute("aria-label", "Copy format");
+  for (const { id, label } of COPY_FORMATS) {
+    formatSelect.appendChild(new Option(label, id));
+  }
+  formatSelect.value = settings.copyFormat;
+  actions.appendChild(formatSelect);
 
-  // Copy button
   const copyBtn = document.createElement("button");
   copyBtn.className = "copy-btn";
   copyBtn.textContent = "Copy to Clipboard";
-  body.appendChild(copyBtn);
+  actions.appendChild(copyBtn);
+
+  const calendarBtn = document.createElement("button");
+  calendarBtn.className = "calendar-btn";
+  calendarBtn.textContent = "Add to Calendar";
+  calendarBtn.setAttribute("aria-expanded", "false");
+  actions.appendChild(calendarBtn);
+
+  const planBtn = document.createElement("button");
+  planBtn.className = "calendar-btn plan-btn";
+  planBtn.textContent = "Plan";
+  planBtn.title = "Compare working hours across zones";
+  planBtn.setAttribute("aria-expanded", "false");
+  actions.appendChild(planBtn);
+
+  // Template for the "custom" copy format, shown only while it's picked
+  const templateRow = document.createElement("div");
+  templateRow.className = "row template-row";
+  templateRow.hidden = formatSelect.value !== "custom";
+  const templateLabel = document.createElement("label");
+  templateLabel.textContent = "Template:";
+  const templateInput = document.createElement("input");
+  templateInput.type = "text";
+  templateInput.spellcheck = false;
+  templateInput.setAttribute("aria-label", "Copy template");
+  templateInput.title = "{start:YYYY-MM-DD HH:mm}, {end:h:mm A}, {tz:short}, {tz:long}, {tz:offset}, {original}, {epoch}, {iso}";
+  templateInput.value = settings.copyTemplate;
+  templateRow.appendChild(templateLabel);
+  templateRow.appendChild(templateInput);
+  body.appendChild(templateRow);
+
+  // Event title, downloads and links; filled in when opened
+  const calendarPanel = document.createElement("div");
+  calendarPanel.className = "calendar-panel";
+  calendarPanel.hidden = true;
+  body.appendChild(calendarPanel);
+
+  const titleRow = document.createElement("div");
+  titleRow.className = "row";
+  const titleLabel = document.createElement("label");
+  titleLabel.textContent = "Title:";
+  const titleInput = document.createElement("input");
+  titleInput.type = "text";
+  titleInput.setAttribute("aria-label", "Event title");
+  titleInput.value = eventSummary(context || selectedText, [
+    ...matches.map((m) => m.text),
+    ...matches.map((m) => m.zone?.text),
+    ...matches.map((m) => m.recurrence?.text),
+    ...matches.map((m) => m.duration?.text),
+  ]) || selectedText;
+  titleRow.appendChild(titleLabel);
+  titleRow.appendChild(titleInput);
+  calendarPanel.appendChild(titleRow);
+
+  const calendarLinks = document.createElement("div");
+  calendarLinks.className = "calendar-links";
+  calendarPanel.appendChild(calendarLinks);
+
+  // Working-hours grid across the To zone, sources and extra targets
+  const planPanel = document.createElement("div");
+  planPanel.className = "plan-panel";
+  planPanel.hidden = true;
+  body.appendChild(planPanel);
+
+  // A time that names its own zone converts from that zone until the user
+  // picks a source explicitly, which then applies to every row.
+  let fromOverridden = false;
+
+  // Row index → reading the user picked for a time that occurs twice
+  const dstChoices = {};
+
+  // Row index → latest conversion, or null if it failed; used for calendar events
+  const conversions = [];
+
+  function calendarEvents() {
+    const description = `${selectedText}\n\n${location.href}`;
+    return conversions.flatMap((conv, i) => {
+      if (!conv) return [];
+
+      const event = {
+        label: matches[i].text,
+        summary: titleInput.value.trim() || selectedText,
+        start: conv.startUTC,
+        end: eventEnd(conv.startUTC, conv.endUTC),
+        description,
+      };
+
+      // A series starts at its next date and repeats on the source zone's clock
+      const { recurrence } = matches[i];
+      if (recurrence) {
+        const [first] = recurrenceOccurrences(matches[i], rowZones[i], { count: 1 });
+        if (first) Object.assign(event, { start: first.startUTC, end: eventEnd(first.startUTC, first.endUTC) });
+        Object.assign(event, {
+          label: `${matches[i].text} (${describeRecurrence(recurrence, format.locale).toLowerCase()})`,
+          tzid: rowZones[i],
+          rrule: toRRule(recurrence),
+        });
+      }
+      return [event];
+    });
+  }
+
+  function renderCalendar() {
+    calendarLinks.replaceChildren();
+    const events = calendarEvents();
+
+    const download = document.createElement("button");
+    download.textContent = events.length > 1 ? `Download .ics (${events.length} events)` : "Download .ics";
+    download.addEventListener("click", () => downloadICS(shadow, buildICS(events)));
+    calendarLinks.appendChild(download);
+
+    for (const event of events) {
+      const line = document.createElement("div");
+      line.className = "calendar-event";
+
+      // Only name each event when there's more than one
+      if (events.length > 1) {
+        const label = document.createElement("span");
+        label.className = "calendar-event-label";
+        label.textContent = event.label;
+        line.appendChild(label);
+      }
+
+      line.appendChild(externalLink("Google Calendar", googleCalendarUrl(event)));
+      // Outlook's links can't repeat an event
+      line.appendChild(externalLink(event.rrule ? "Outlook (first only)" : "Outlook", outlookCalendarUrl(event)));
+      calendarLinks.appendChild(line);
+    }
+  }
+
+  // Row index → zone its time was last converted from
+  let rowZones = [];
+
+  // This dialog's history entry, saved again whenever what it shows changes
+  const historyId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const readAgainst = (reference?.date ?? new Date()).toISOString();
+  let savedHistory = "";
+
+  function saveHistory() {
+    const times = conversions.flatMap((conv, i) => conv
+      ? [{ text: matches[i].text, start: conv.startUTC.toISOString(), end: conv.endUTC?.toISOString() ?? null }]
+      : []);
+    if (times.length === 0) return;
+
+    const entry = {
+      id: historyId,
+      text: selectedText,
+      url: location.href,
+      title: document.title,
+      detectedTZ,
+      from: fromSelect.value,
+      targets: [toSelect.value, ...extraTargets],
+      referenceDate: readAgainst,
+      times,
+    };
+    const snapshot = JSON.stringify(entry);
+    if (snapshot === savedHistory) return;
+    savedHistory = snapshot;
+    saveHistoryEntry({ ...entry, savedAt: Date.now() }, settings.historyDays).catch(ignoreStorageError);
+  }
+
+  function renderPlan() {
+    const zones = [...new Set([toSelect.value, ...rowZones, ...extraTargets])];
+    const times = conversions.flatMap((conv) => conv ? [{ start: conv.startUTC, end: conv.endUTC }] : []);
+    renderPlanner(planPanel, {
+      times,
+      zones,
+      workingHours: settings.workingHours,
+      format,
+      onHoursChange: (tz, hours) => {
+        settings.workingHours = { ...settings.workingHours, [tz]: hours };
+        saveSettings({ workingHours: settings.workingHours }).catch(ignoreStorageError);
+        renderPlan();
+      },
+    });
+  }
+
+  // Each row's next occurrence, worked out again only when its time or zone
+  // changes or the moment it was based on passes, not on every tick
+  const nextTimes = [];
+  function rowNext(i, now) {
+    const { match } = resultRows[i];
+    const zone = rowZones[i];
+    const cached = nextTimes[i];
+    if (cached?.match === match && cached.zone === zone && now < cached.until) return cached.next;
+
+    const next = nextOccurrence(match, zone, now);
+    // Not over yet: nothing until it is. Over: the next one holds until it starts
+    const ends = wallClockToUTC(match.end ?? match.start, zone);
+    const until = ends > now ? ends : next ? wallClockToUTC(next.start, zone) : Infinity;
+    nextTimes[i] = { match, zone, next, until };
+    return next;
+  }
+
+  // Relative time and countdown for every row; runs every second
+  function renderTimings() {
+    const now = new Date();
+    resultRows.forEach(({ timing }, i) => {
+      const conv = conversions[i];
+      timing.el.hidden = !conv;
+      if (conv) renderTiming(timing, conv, rowNext(i, now), now, format);
+    });
+  }
+
+  resultRows.forEach((row, i) => {
+    row.timing.nextBtn.addEventListener("click", () => {
+      const next = rowNext(i, new Date());
+      if (!next) return;
+
+      matches[i] = row.match = next;
+      delete dstChoices[i];
+      parsedSummary.replaceChildren();
+      appendParsedSummary(parsedSummary, matches, format);
+      updateResult();
+    });
+  });
 
   // Live update function
   function updateResult() {
-    const from = fromSelect.value;
     const to = toSelect.value;
+    const copyItems = [];
+    const zones = resultRows.map(({ match }) =>
+      fromOverridden || !match.zone ? fromSelect.value : sourceZone(match.zone)
+    );
+    rowZones = zones;
+    const conflicts = findConflicts(matches, zones);
+
+    resultRows.forEach(({ match, zoneTag, conflictNote, source, resultDate, dayShift, resultTime, resultTZ, seasonNote, dstNote, recurrence, targetList }, i) => {
+      const from = zones[i];
+
+      if (zoneTag) {
+        const via = !fromOverridden && match.zone ? `${match.zone.text} \u2192 ` : "";
+        zoneTag.textContent = `${via}${zoneLabel(from)}`;
+      }
+
+      if (conflictNote) {
+        const other = conflicts[i];
+        conflictNote.hidden = other === -1;
+        if (other !== -1) {
+          conflictNote.textContent = `Doesn't match \u201c${matches[other].text}\u201d \u2014 these may not be the same time.`;
+        }
+      }
+
+      const mismatch = !fromOverridden && match.zone
+        ? seasonMismatch(match.zone, namedZone(match.zone), match.start)
+        : null;
+      seasonNote.hidden = !mismatch;
+      if (mismatch) {
+        const how = settings.strictAbbreviations
+          ? `Converted as ${zoneLabel(from)}, as written.`
+          : `Converted with ${zoneLabel(from)} local time.`;
+        seasonNote.textContent = `${mismatch.written} used in ${mismatch.season} \u2014 did you mean ${mismatch.expected}? ${how}`;
+      }
+
+      // Which reading of a time that occurs twice: the user's pick, else
+      // whatever the written zone ("EDT") settles, else the earlier one
+      let disambiguation = dstChoices[i];
+
+      try {
+        let conv = convertParsed(match, from, to, { ...format, disambiguation });
+        const wall = conv.startResolution.status !== "ok" ? match.start : match.end;
+        const resolution = conv.startResolution.status !== "ok" ? conv.startResolution : conv.endResolution;
+
+        let settled = false;
+        if (!disambiguation && resolution?.status === "ambiguous" && match.zone) {
+          disambiguation = disambiguateByName(match.zone.text, from, resolution.candidates) ?? undefined;
+          settled = disambiguation !== undefined;
+          if (disambiguation === "later") conv = convertParsed(match, from, to, { ...format, disambiguation });
+        }
+
+        renderDstNote(dstNote, wall, from, resolution, disambiguation ?? "earlier", settled, format, (choice) => {
+          dstChoices[i] = choice;
+          updateResult();
+        });
+
+        resultDate.textContent = conv.displayDate;
+        resultTime.textContent = conv.displayTime;
+        resultTZ.textContent = conv.displayTZ;
+        renderDayShift(dayShift, conv, from, to);
+        renderSource(source, match, from, { ...format, disambiguation });
+        renderRecurrence(recurrence, match, from, to, format);
+        conversions[i] = conv;
+
+        copyItems.push({ original: match.text, from, to, conv });
+      } catch (e) {
+        source.date.textContent = source.time.textContent = source.zone.textContent = "";
+        resultDate.textContent = "";
+        dayShift.hidden = true;
+        recurrence.hidden = true;
+        resultTime.textContent = "Conversion error";
+        resultTZ.textContent = e.message;
+        conversions[i] = null;
+      }
+
+      targetList.replaceChildren();
+      for (const target of extraTargets) {
+        const conv = appendTargetRow(targetList, match, from, target, { ...format, disambiguation }, () =>
+          saveTargets(extraTargets.filter((t) => t !== target))
+        );
+        if (conv) copyItems.push({ original: match.text, from, to: target, conv });
+      }
+    });
 
-    try {
-      const conv = convertParsed(parsed, from, to);
-      resultDate.textContent = conv.displayDate;
-      resultTime.textContent = conv.displayTime;
-      resultTZ.textContent = conv.displayTZ;
-
-      copyBtn.dataset.copyText = `${conv.displayDate}\n${conv.displayTime} ${conv.displayTZ}`;
-    } catch (e) {
-      resultDate.textContent = "";
-      resultTime.textContent = "Conversion error";
-      resultTZ.textContent = e.message;
-    }
+    copyBtn.dataset.copyText = formatCopyText(settings.copyFormat, copyItems, settings.copyTemplate);
+    if (!calendarPanel.hidden) renderCalendar();
+    if (!planPanel.hidden) renderPlan();
+    renderTimings();
+    saveHistory();
   }
 
-  fromSelect.addEventListener("change", updateResult);
+  fromSelect.addEventListener("change", () => {
+    fromOverridden = true;
+    updateResult();
+  });
   toSelect.addEventListener("change", updateResult);
+
+  swapBtn.addEventListener("click", () => {
+    const from = fromSelect.value;
+    fromSelect.value = toSelect.value;
+    toSelect.value = from;
+    // The swapped source applies to every time, as if picked by hand
+    fromOverridden = true;
+    detectedBadge.hidden = true;
+    updateResult();
+  });
+
+  formatSelect.addEventListener("change", () => {
+    settings.copyFormat = formatSelect.value;
+    saveSettings({ copyFormat: formatSelect.value }).catch(ignoreStorageError);
+    templateRow.hidden = formatSelect.value !== "custom";
+    updateResult();
+  });
+  templateInput.addEventListener("input", () => {
+    settings.copyTemplate = templateInput.value;
+    updateResult();
+  });
+  templateInput.addEventListener("change", () => {
+    saveSettings({ copyTemplate: templateInput.value }).catch(ignoreStorageError);
+  });
+
   updateResult();
+  timingTimer = setInterval(renderTimings, 1000);
 
   // Copy button
   copyBtn.addEventListener("click", () => {
@@ -386,49 +1369,485 @@ export function showDialog({ selectedText, parsed, detectedTZ }) {
     });
   });
 
+  calendarBtn.addEventListener("click", () => {
+    calendarPanel.hidden = !calendarPanel.hidden;
+    calendarBtn.setAttribute("aria-expanded", String(!calendarPanel.hidden));
+    if (!calendarPanel.hidden) {
+      renderCalendar();
+      titleInput.select();
+      titleInput.focus();
+    }
+  });
+  titleInput.addEventListener("input", renderCalendar);
+
+  planBtn.addEventListener("click", () => {
+    planPanel.hidden = !planPanel.hidden;
+    planBtn.setAttribute("aria-expanded", String(!planPanel.hidden));
+    if (!planPanel.hidden) renderPlan();
+  });
+
   setupKeyClose();
 
   // Focus close button for a11y
   closeBtn.focus();
 }
 
-function appendQuotedText(container, value) {
+/**
+ * Distinct ambiguous zone mentions across all matches, one per abbreviation.
+ */
+function ambiguousZones(matches) {
+  const seen = new Map();
+  for (const { zone } of matches) {
+    if (zone?.candidates.length > 1 && !seen.has(zone.key)) seen.set(zone.key, zone);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * "IST ambiguous — did you mean…" badge plus a select of the candidate
+ * zones, most likely first.
+ */
+function buildAmbiguousPicker(zone, onPick) {
+  const wrap = document.createElement("div");
+  wrap.className = "ambiguous";
+
+  const badge = document.createElement("span");
+  badge.className = "ambiguous-badge";
+  badge.textContent = `${zone.text} ambiguous \u2014 did you mean\u2026`;
+  wrap.appendChild(badge);
+
+  const picker = document.createElement("select");
+  picker.setAttribute("aria-label", `${zone.text} is ambiguous, did you mean`);
+  for (const tz of zone.candidates) {
+    const opt = document.createElement("option");
+    opt.value = tz;
+    opt.textContent = zoneLabel(tz);
+    picker.appendChild(opt);
+  }
+  picker.value = zone.candidates[0];
+  picker.addEventListener("change", () => onPick(picker.value));
+  wrap.appendChild(picker);
+
+  return wrap;
+}
+
+/**
+ * One compact "zone — time" line for an extra target, with a remove button.
+ * `opts` are convertParsed's. Returns the conversion, or null if it failed.
+ */
+function appendTargetRow(container, match, from, target, opts, onRemove) {
+  const row = document.createElement("div");
+  row.className = "target-row";
+
+  const zone = document.createElement("span");
+  zone.className = "target-zone";
+  zone.textContent = zoneLabel(target);
+  zone.title = target;
+
+  const time = document.createElement("span");
+  time.className = "target-time";
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "target-remove";
+  removeBtn.setAttribute("aria-label", `Remove ${zoneLabel(target)}`);
+  removeBtn.textContent = "\u00d7";
+  removeBtn.addEventListener("click", onRemove);
+
+  row.appendChild(zone);
+  row.appendChild(time);
+  row.appendChild(removeBtn);
+  container.appendChild(row);
+
+  try {
+    const conv = convertParsed(match, from, target, opts);
+    time.textContent = `${conv.displayDate}, ${conv.displayTime}`;
+    if (conv.dayDelta) {
+      const shift = document.createElement("span");
+      shift.className = "target-shift";
+      shift.textContent = formatDayDelta(conv.dayDelta);
+      shift.title = `${conv.sourceWeekday} in ${zoneLabel(from)} is ${conv.targetWeekday} in ${zoneLabel(target)}`;
+      row.insertBefore(shift, removeBtn);
+    }
+    return conv;
+  } catch {
+    time.textContent = "Conversion error";
+    return null;
+  }
+}
+
+/**
+ * "Dates read relative to the post's date (Jan 3, 2026), looking forward"
+ */
+function referenceText(reference, forward, format) {
+  const against = reference
+    ? `${reference.source} (${new Intl.DateTimeFormat(format.locale, { dateStyle: "medium" }).format(reference.date)})`
+    : "today";
+  return `Dates read relative to ${against}${forward ? ", looking forward" : ""}.`;
+}
+
+/**
+ * Fill in the "As read" side: the parsed time in its source zone, with the
+ * zone's abbreviation and UTC offset at that moment, so a misread ("3pm"
+ * taken as 3am, the wrong EST) shows before the result is trusted.
+ *
+ * @param {{ date: HTMLElement, time: HTMLElement, zone: HTMLElement }} source
+ * @param {object} match - From parseSelectedText
+ * @param {string} from
+ * @param {object} opts  - convertParsed's, so DST choices match the result
+ */
+function renderSource(source, match, from, opts) {
+  // Converting to the source zone itself gives its own wall clock, with
+  // gap and overlap times resolved the same way as the result
+  const read = convertParsed(match, from, from, opts);
+  const abbreviation = getZoneAbbreviation(read.startUTC, from);
+  const offset = `UTC${formatOffset(getUtcOffset(read.startUTC, from))}`;
+
+  source.date.textContent = read.displayDate;
+  source.time.textContent = read.displayTime;
+  source.zone.textContent = [...new Set([zoneLabel(from), abbreviation, offset])].filter(Boolean).join(" \u00b7 ");
+  source.zone.title = from;
+}
+
+/**
+ * Where a converted time stands right now: "Starts in 3 hours · 3h 20m 15s",
+ * "Happening now · ends in 40 minutes", or "Already over · 2 days ago",
+ * with the next occurrence offered when the text allows one.
+ *
+ * @param {{ el: HTMLElement, text: HTMLElement, nextBtn: HTMLButtonElement }} timing
+ * @param {object} conv      - From convertParsed
+ * @param {object|null} next - From nextOccurrence
+ * @param {Date} now
+ * @param {object} format    - Locale and clock, see outputFormat
+ */
+function renderTiming(timing, conv, next, now, format) {
+  const { status, ms } = eventTiming(conv.startUTC, conv.endUTC, now);
+  timing.el.classList.toggle("past", status === "past");
+
+  if (status === "upcoming") {
+    timing.text.textContent = `Starts ${relativeTime(conv.startUTC, now, format)} \u00b7 ${formatCountdown(ms, format)}`;
+  } else if (status === "ongoing") {
+    timing.text.textContent = `Happening now \u00b7 ends ${relativeTime(conv.endUTC, now, format)} \u00b7 ${formatCountdown(ms, format)}`;
+  } else {
+    timing.text.textContent = `Already over \u00b7 ${relativeTime(conv.endUTC ?? conv.startUTC, now, format)}`;
+  }
+
+  timing.nextBtn.hidden = status !== "past" || !next;
+  if (next) {
+    const when = formatWallClock(next.start, { weekday: "short", month: "short", day: "numeric" }, format);
+    timing.nextBtn.textContent = `Use next: ${when}`;
+  }
+}
+
+/**
+ * Flag a conversion that lands on another calendar day, since a time that
+ * reads right on the wrong day is the easiest mistake to miss.
+ */
+function renderDayShift(badge, conv, from, to) {
+  badge.hidden = conv.dayDelta === 0;
+  if (badge.hidden) return;
+
+  badge.textContent = `${formatDayDelta(conv.dayDelta)} \u00b7 ${conv.sourceWeekday} \u2192 ${conv.targetWeekday}`;
+  badge.title = `${conv.sourceWeekday} in ${zoneLabel(from)} is ${conv.targetWeekday} in ${zoneLabel(to)}`;
+}
+
+// How many of a recurring time's next dates a row lists
+const RECURRENCE_SHOWN = 6;
+
+/**
+ * List a recurring time's next dates in the target zone, and warn where
+ * daylight saving time moves some of them to another local time, as
+ * between the US and Europe for a few weeks each spring and autumn.
+ */
+function renderRecurrence(box, match, from, to, format) {
+  box.replaceChildren();
+  box.hidden = !match.recurrence;
+  if (box.hidden) return;
+
+  // A year ahead, to find every DST change; only the first few are listed
+  const occurrences = recurrenceOccurrences(match, from);
+  const changes = localTimeChanges(occurrences, from, to);
+  const shiftOf = (occ) =>
+    changes.find((c) => occ.startUTC >= c.first.startUTC && occ.startUTC <= c.last.startUTC)?.minutes ?? 0;
+
+  const shown = occurrences.slice(0, RECURRENCE_SHOWN);
+  const rule = document.createElement("div");
+  rule.className = "recurrence-rule";
+  rule.textContent = `${describeRecurrence(match.recurrence, format.locale)} \u00b7 next ${shown.length} in ${zoneLabel(to)}`;
+
+  const list = document.createElement("ul");
+  list.className = "recurrence-list";
+  for (const occ of shown) {
+    const conv = convertParsed({ ...match, start: occ.start, end: occ.end }, from, to, format);
+    const item = document.createElement("li");
+    item.textContent = `${conv.displayDate} \u00b7 ${conv.displayTime}`;
+
+    const minutes = shiftOf(occ);
+    if (minutes) {
+      item.classList.add("shifted");
+      item.textContent += ` \u00b7 ${formatShift(minutes)}`;
+    }
+    list.appendChild(item);
+  }
+  box.append(rule, list);
+
+  if (changes.length === 0) return;
+
+  const note = document.createElement("div");
+  note.className = "recurrence-note";
+  const day = (occ) => formatWallClock(occ.start, { month: "short", day: "numeric" }, format);
+  const periods = changes.slice(0, 3).map(({ first, last, minutes }) =>
+    `${first === last ? day(first) : `${day(first)} \u2013 ${day(last)}`}: ${formatShift(minutes)}`
+  );
+  note.textContent = `Daylight saving time moves some of these in ${zoneLabel(to)}. ${periods.join("; ")}.`;
+  box.appendChild(note);
+}
+
+// "1 hour earlier", "30 minutes later"
+function formatShift(minutes) {
+  const hours = Math.floor(Math.abs(minutes) / 60);
+  const rest = Math.abs(minutes) % 60;
+  const parts = [
+    hours ? `${hours} hour${hours === 1 ? "" : "s"}` : "",
+    rest ? `${rest} minute${rest === 1 ? "" : "s"}` : "",
+  ].filter(Boolean);
+  return `${parts.join(" ")} ${minutes < 0 ? "earlier" : "later"} than usual`;
+}
+
+/**
+ * Explain a time that falls into a DST gap or overlap in `tz`. For a time
+ * that occurs twice and that the text doesn't settle, offer both readings.
+ *
+ * @param {HTMLElement} note
+ * @param {Date} wall          - The wall-clock time as parsed
+ * @param {string} tz
+ * @param {object|undefined} resolution - From resolveWallClock; hides the note if "ok"/missing
+ * @param {"earlier"|"later"} choice    - Reading currently shown
+ * @param {boolean} settled    - The text's own zone name picked the reading
+ * @param {object} format      - Locale and clock, see outputFormat
+ * @param {(choice: string) => void} onChoose
+ */
+function renderDstNote(note, wall, tz, resolution, choice, settled, format, onChoose) {
+  note.replaceChildren();
+  note.hidden = !resolution || resolution.status === "ok";
+  if (note.hidden) return;
+
+  const wallTime = formatWallClock(wall, { hour: "numeric", minute: "2-digit" }, format);
+  const wallDate = formatWallClock(wall, { month: "short", day: "numeric" }, format);
+  const where = `in ${zoneLabel(tz)} on ${wallDate}`;
+
+  if (resolution.status === "nonexistent") {
+    note.textContent = `${wallTime} doesn't exist ${where} \u2014 clocks spring forward past it. Read as ${formatTime(resolution.utc, tz, format)}.`;
+    return;
+  }
+
+  const labels = resolution.candidates.map((utc) =>
+    getZoneAbbreviation(utc, tz) ?? `UTC${formatOffset(getUtcOffset(utc, tz))}`
+  );
+  const chosen = choice === "later" ? 1 : 0;
+
+  if (settled) {
+    note.textContent = `${wallTime} happens twice ${where} \u2014 using ${labels[chosen]}, as written.`;
+    return;
+  }
+
+  note.textContent = `${wallTime} happens twice ${where} (clocks fall back). Which one?`;
+
+  const buttons = document.createElement("div");
+  buttons.className = "dst-choice";
+  ["earlier", "later"].forEach((value, idx) => {
+    const btn = document.createElement("button");
+    btn.textContent = `${labels[idx]} (${idx === 0 ? "first" : "second"})`;
+    if (idx === chosen) btn.classList.add("active");
+    btn.addEventListener("click", () => onChoose(value));
+    buttons.appendChild(btn);
+  });
+  note.appendChild(buttons);
+}
+
+function externalLink(text, href) {
+  const link = document.createElement("a");
+  link.textContent = text;
+  link.href = href;
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+  return link;
+}
+
+/**
+ * Save .ics content as a file. The link lives in the dialog's shadow root
+ * just long enough to be clicked.
+ */
+function downloadICS(root, ics) {
+  const url = URL.createObjectURL(new Blob([ics], { type: "text/calendar" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "event.ics";
+  root.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Quote `value`, wrapping each highlight's characters in a <mark> of its
+ * kind. Where highlights overlap, the later one in the list wins.
+ *
+ * @param {HTMLElement} container
+ * @param {string} value
+ * @param {Array<{ index: number, end: number, kind: string, title: string }>} [highlights]
+ */
+function appendQuotedText(container, value, highlights = []) {
   const openQuote = document.createElement("strong");
   openQuote.textContent = "\"";
   container.appendChild(openQuote);
 
-  container.appendChild(document.createTextNode(value));
+  // Which highlight, if any, each character belongs to
+  const owners = Array.from(value, () => null);
+  for (const h of highlights) {
+    for (let i = h.index; i < Math.min(h.end, value.length); i++) owners[i] = h;
+  }
+
+  let runStart = 0;
+  for (let i = 1; i <= value.length; i++) {
+    if (i < value.length && owners[i] === owners[runStart]) continue;
+
+    const text = value.slice(runStart, i);
+    const owner = owners[runStart];
+    if (owner) {
+      const mark = document.createElement("mark");
+      mark.className = owner.kind;
+      mark.title = owner.title;
+      mark.textContent = text;
+      container.appendChild(mark);
+    } else {
+      container.appendChild(document.createTextNode(text));
+    }
+    runStart = i;
+  }
 
   const closeQuote = document.createElement("strong");
   closeQuote.textContent = "\"";
   container.appendChild(closeQuote);
 }
 
-function appendParsedSummary(container, parsed) {
-  const fmt = new Intl.DateTimeFormat("en-US", {
-    month: "short",
-    day: "numeric",
-    hour: "numeric",
-    minute: "2-digit",
-  });
-  const startStr = fmt.format(parsed.start);
+function appendParsedSummary(container, matches, format) {
+  const options = { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" };
+  const fmt = (wall) => formatWallClock(wall, options, format);
 
   container.appendChild(document.createTextNode("Parsed: "));
 
-  const start = document.createElement("span");
-  start.textContent = startStr;
-  container.appendChild(start);
+  matches.forEach((parsed, i) => {
+    if (i > 0) container.appendChild(document.createTextNode(" \u00b7 "));
 
-  if (parsed.hasRange && parsed.end) {
-    container.appendChild(document.createTextNode(" \u2192 "));
+    const start = document.createElement("span");
+    start.textContent = fmt(parsed.start);
+    container.appendChild(start);
 
-    const end = document.createElement("span");
-    end.textContent = fmt.format(parsed.end);
-    container.appendChild(end);
-  }
+    if (parsed.hasRange && parsed.end) {
+      container.appendChild(document.createTextNode(" \u2192 "));
+
+      const end = document.createElement("span");
+      end.textContent = fmt(parsed.end);
+      container.appendChild(end);
+    }
+
+    // The end wasn't written as a time, so say where it came from
+    if (parsed.duration) {
+      container.appendChild(document.createTextNode(` (\u201c${parsed.duration.text}\u201d)`));
+    }
+  });
+
+  container.appendChild(confidenceBadge(matches));
+}
+
+// Highlight order: a time's span holds its zone, and a rule or duration
+// can hold a time, so the narrower kinds go on top
+const HIGHLIGHT_ORDER = ["time", "recurrence", "duration", "zone"];
+
+/**
+ * What to mark in the quoted selection for every match, with a tooltip
+ * saying how each part was read.
+ */
+function quoteHighlights(matches, format) {
+  const options = { weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" };
+
+  return matches
+    .flatMap((match) =>
+      match.explanation.spans.map((span) => {
+        const titles = {
+          time: `Read as ${formatWallClock(match.start, options, format)}`,
+          zone: match.zone && `\u201c${match.zone.text}\u201d \u2192 ${zoneLabel(match.zone.timezone)} (${match.explanation.zoneKey})`,
+          recurrence: match.recurrence && describeRecurrence(match.recurrence, format.locale),
+          duration: match.duration && `Lasts ${formatDuration(match.duration.minutes)}`,
+        };
+        return { ...span, title: titles[span.kind] };
+      })
+    )
+    .sort((a, b) => HIGHLIGHT_ORDER.indexOf(a.kind) - HIGHLIGHT_ORDER.indexOf(b.kind));
+}
+
+// "1 hour 30 min"
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const parts = [hours && `${hours} hour${hours === 1 ? "" : "s"}`, minutes % 60 && `${minutes % 60} min`];
+  return parts.filter(Boolean).join(" ");
 }
 
+/**
+ * "No time given, assumed 12:00 PM." for each match that had to guess its
+ * time or its AM/PM; null when none did. Prefixed with the match's text when
+ * there are several.
+ */
+function assumptionText(matches, format) {
+  const time = (wall) => formatWallClock(wall, { hour: "numeric", minute: "2-digit" }, format);
+
+  const notes = matches.flatMap((match) => {
+    const { assumptions } = match.explanation;
+    const which = matches.length > 1 ? `\u201c${match.text}\u201d: ` : "";
+    if (assumptions.includes("time")) return [`${which}No time given, assumed ${time(match.start)}.`];
+    if (assumptions.includes("meridiem")) return [`${which}AM or PM not given, read as ${time(match.start)}.`];
+    return [];
+  });
+  return notes.length ? notes.join(" ") : null;
+}
+
+const ASSUMPTION_REASONS = {
+  time: "no time given",
+  meridiem: "AM or PM not given",
+  date: "no date given",
+  zone: "no time zone in the text",
+  "ambiguous-zone": "the zone abbreviation has several meanings",
+};
+
+/**
+ * "High/Medium/Low confidence" for the least certain match, with what it
+ * had to assume in the tooltip.
+ */
+function confidenceBadge(matches) {
+  const least = matches.reduce((a, b) => (b.explanation.confidence < a.explanation.confidence ? b : a));
+  const { confidence, assumptions } = least.explanation;
+  const level = confidence >= 0.8 ? "high" : confidence >= 0.5 ? "medium" : "low";
+
+  const badge = document.createElement("span");
+  badge.className = `confidence ${level}`;
+  badge.textContent = `${level[0].toUpperCase()}${level.slice(1)} confidence`;
+  badge.title = assumptions.length
+    ? `Assumed: ${assumptions.map((a) => ASSUMPTION_REASONS[a]).join(", ")}.`
+    : "Date, time and zone all given in the text.";
+  return badge;
+}
+
+// Saving a setting or history entry can fail under the page: sync storage
+// has write quotas, and reloading the extension cuts this script off from
+// it. The dialog works the same without the save, so let it go quietly.
+function ignoreStorageError() {}
+
+// Ticks the open dialog's countdowns
+let timingTimer = null;
+
 function removeDialog() {
+  clearInterval(timingTimer);
+  timingTimer = null;
   document.getElementById("__tz-translator-host__")?.remove();
   document.removeEventListener("keydown", onKeyDown);
 }
@@ -0,0 +1,54 @@
+// Meta tags that carry a page's publication date, most specific first
+const META_DATES = [
+  'meta[property="article:published_time"]',
+  'meta[itemprop="datePublished"]',
+  'meta[name="date"]',
+  'meta[name="DC.date.issued"]',
+  'meta[name="dcterms.created"]',
+  'meta[property="og:updated_time"]',
+];
+
+// A post, comment or message in a thread, which may carry its own date
+const ITEM_SELECTOR = 'article, [role="article"], [role="listitem"]';
+
+/**
+ * Read a machine-readable date ("2026-01-05", "2026-01-05T09:30:00Z").
+ * Only ISO 8601-style values count, so text like "3 days ago" that some
+ * sites put in `datetime` is ignored. A bare date is local midnight, so it
+ * stays on its own day wherever the reader is.
+ *
+ * @param {string|null|undefined} value
+ * @returns {Date|null}
+ */
+export function parseDateValue(value) {
+  const trimmed = value?.trim();
+  if (!trimmed || !/^\d{4}-\d{2}-\d{2}/.test(trimmed)) return null;
+
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? `${trimmed}T00:00` : trimmed);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * When the text around `node` was written, to read "Monday" or "July 15"
+ * against instead of today: the `<time datetime>` of the post or message
+ * it's in, else the page's publication date from its meta tags.
+ *
+ * @param {Element|null} node - Element holding the selection
+ * @returns {{ date: Date, source: string }|null} `source` says where the
+ *   date came from, for the dialog to show
+ */
+export function findReferenceDate(node) {
+  const item = node?.closest(ITEM_SELECTOR);
+  const itemDate = parseDateValue(item?.querySelector("time[datetime]")?.getAttribute("datetime"));
+  if (itemDate) return { date: itemDate, source: "the post's date" };
+
+  for (const selector of META_DATES) {
+    const date = parseDateValue(document.querySelector(selector)?.getAttribute("content"));
+    if (date) return { date, source: "the page's publication date" };
+  }
+
+  const pageTime = parseDateValue(document.querySelector("time[pubdate][datetime], article time[datetime]")?.getAttribute("datetime"));
+  if (pageTime) return { date: pageTime, source: "the page's publication date" };
+
+  return null;
+}
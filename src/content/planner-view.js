@@ -0,0 +1,247 @@
+import { formatDayDelta, formatWallClock } from "../shared/parser.js";
+import { buildPlannerGrid } from "../shared/planner.js";
+import { zoneLabel } from "./timezone-data.js";
+
+export const PLANNER_STYLES = `
+  .plan-grid {
+    display: grid;
+    grid-template-columns: 132px repeat(24, minmax(0, 1fr));
+    gap: 1px;
+    font-size: 9px;
+    font-variant-numeric: tabular-nums;
+  }
+
+  .plan-zone {
+    display: flex;
+    flex-direction: column;
+    justify-content: center;
+    gap: 2px;
+    min-width: 0;
+    padding-right: 6px;
+  }
+
+  .plan-zone-name {
+    font-size: 12px;
+    color: #374151;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .plan-hours {
+    display: flex;
+    align-items: center;
+    gap: 2px;
+    color: #6b7280;
+  }
+  .plan-hours select {
+    flex: 0 0 auto;
+    font-size: 10px;
+    padding: 0 2px;
+    border-radius: 4px;
+  }
+
+  .plan-cell {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    min-height: 34px;
+    color: #6b7280;
+    background: #e5e7eb;
+    cursor: default;
+  }
+  .plan-cell.working {
+    color: #166534;
+    background: #bbf7d0;
+  }
+  .plan-cell.other-day {
+    font-style: italic;
+  }
+  .plan-cell.selected {
+    color: #fff;
+    background: #6366f1;
+  }
+  .plan-cell.working.selected {
+    background: #4338ca;
+  }
+  .plan-cell.hover {
+    box-shadow: inset 0 0 0 2px #f59e0b;
+  }
+
+  .plan-overlap-label {
+    font-size: 11px;
+    color: #6b7280;
+  }
+  .plan-overlap {
+    min-height: 6px;
+    background: transparent;
+  }
+  .plan-overlap.all {
+    background: #22c55e;
+  }
+
+  .plan-readout {
+    margin-top: 8px;
+    font-size: 12px;
+    color: #374151;
+    min-height: 1.4em;
+  }
+
+  .plan-legend {
+    margin-top: 4px;
+    font-size: 11px;
+    color: #6b7280;
+  }
+`;
+
+const HOUR_OPTIONS = Array.from({ length: 25 }, (_, h) => h);
+
+/**
+ * Fill `container` with a 24-hour meeting planner: a strip per zone with
+ * working hours shaded and the converted times marked, and a bottom strip
+ * showing the hours that are working hours everywhere. Hovering a slot
+ * spells out its time in every zone.
+ *
+ * @param {HTMLElement} container
+ * @param {object} opts
+ * @param {Array<{ start: Date, end: Date|null }>} opts.times - UTC instants to mark
+ * @param {string[]} opts.zones                  - One strip each; the first sets the day shown
+ * @param {Object<string, number[]>} opts.workingHours - See workingHoursFor
+ * @param {object} opts.format                   - Locale and clock, see outputFormat
+ * @param {(tz: string, hours: number[]) => void} opts.onHoursChange
+ */
+export function renderPlanner(container, { times, zones, workingHours, format, onHoursChange }) {
+  container.replaceChildren();
+  if (times.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "plan-legend";
+    empty.textContent = "No converted time to plan around.";
+    container.appendChild(empty);
+    return;
+  }
+
+  const grid = buildPlannerGrid(times, zones, workingHours);
+
+  const table = document.createElement("div");
+  table.className = "plan-grid";
+  table.setAttribute("role", "grid");
+  table.setAttribute("aria-label", "Meeting planner");
+
+  // Slot index → every cell in that column, for the hover highlight
+  const columns = grid.slots.map(() => []);
+
+  for (const row of grid.rows) {
+    table.appendChild(zoneCell(row, onHoursChange));
+
+    row.cells.forEach((cell, i) => {
+      const el = document.createElement("div");
+      el.className = "plan-cell";
+      el.classList.toggle("working", cell.working);
+      el.classList.toggle("selected", grid.selected[i]);
+      el.classList.toggle("other-day", cell.dayDelta !== 0);
+      el.dataset.slot = String(i);
+      el.textContent = String(cell.wall.getUTCHours());
+      el.title = slotTime(cell, format);
+      table.appendChild(el);
+      columns[i].push(el);
+    });
+  }
+
+  const overlapLabel = document.createElement("div");
+  overlapLabel.className = "plan-overlap-label";
+  overlapLabel.textContent = "Everyone working";
+  table.appendChild(overlapLabel);
+
+  grid.overlap.forEach((all) => {
+    const el = document.createElement("div");
+    el.className = "plan-overlap";
+    el.classList.toggle("all", all);
+    table.appendChild(el);
+  });
+
+  const readout = document.createElement("div");
+  readout.className = "plan-readout";
+  readout.setAttribute("aria-live", "polite");
+
+  const firstSelected = grid.selected.indexOf(true);
+  const restingText = firstSelected === -1 ? "" : describeSlot(grid, firstSelected, format);
+  readout.textContent = restingText;
+
+  let hovered = -1;
+  table.addEventListener("mouseover", (e) => {
+    const slot = e.target.closest?.(".plan-cell")?.dataset.slot;
+    if (slot === undefined || Number(slot) === hovered) return;
+
+    columns[hovered]?.forEach((el) => el.classList.remove("hover"));
+    hovered = Number(slot);
+    columns[hovered].forEach((el) => el.classList.add("hover"));
+    readout.textContent = describeSlot(grid, hovered, format);
+  });
+  table.addEventListener("mouseleave", () => {
+    columns[hovered]?.forEach((el) => el.classList.remove("hover"));
+    hovered = -1;
+    readout.textContent = restingText;
+  });
+
+  const legend = document.createElement("div");
+  legend.className = "plan-legend";
+  const overlapHours = grid.overlap.filter(Boolean).length;
+  legend.textContent = overlapHours
+    ? `Green: working hours. ${overlapHours} hour${overlapHours === 1 ? "" : "s"} work for everyone.`
+    : "Green: working hours. No hour works for everyone.";
+
+  container.appendChild(table);
+  container.appendChild(readout);
+  container.appendChild(legend);
+}
+
+// Zone name with its working hours, editable
+function zoneCell(row, onHoursChange) {
+  const cell = document.createElement("div");
+  cell.className = "plan-zone";
+
+  const name = document.createElement("span");
+  name.className = "plan-zone-name";
+  name.textContent = zoneLabel(row.tz);
+  name.title = row.tz;
+
+  const hours = document.createElement("span");
+  hours.className = "plan-hours";
+
+  const [start, end] = row.hours;
+  const startSelect = hourSelect(start, `Working hours start in ${zoneLabel(row.tz)}`, HOUR_OPTIONS.slice(0, 24));
+  const endSelect = hourSelect(end, `Working hours end in ${zoneLabel(row.tz)}`, HOUR_OPTIONS.slice(1));
+  const onChange = () => onHoursChange(row.tz, [Number(startSelect.value), Number(endSelect.value)]);
+  startSelect.addEventListener("change", onChange);
+  endSelect.addEventListener("change", onChange);
+
+  hours.append(startSelect, "–", endSelect);
+  cell.append(name, hours);
+  return cell;
+}
+
+function hourSelect(value, label, options) {
+  const select = document.createElement("select");
+  select.setAttribute("aria-label", label);
+  for (const h of options) select.appendChild(new Option(`${h}:00`, String(h)));
+  select.value = String(value);
+  return select;
+}
+
+// "Tue 9:00 AM", "+1 day" added when the slot is on another day than the strip's
+function slotTime(cell, format) {
+  const time = formatWallClock(cell.wall, { weekday: "short", hour: "numeric", minute: "2-digit" }, format);
+  return cell.dayDelta ? `${time} (${formatDayDelta(cell.dayDelta)})` : time;
+}
+
+// "New York 9:00 AM · London 2:00 PM · Tokyo 11:00 PM (+1 day)"
+function describeSlot(grid, i, format) {
+  return grid.rows
+    .map((row) => {
+      const cell = row.cells[i];
+      const time = formatWallClock(cell.wall, { hour: "numeric", minute: "2-digit" }, format);
+      const shift = cell.dayDelta ? ` (${formatDayDelta(cell.dayDelta)})` : "";
+      return `${zoneLabel(row.tz)} ${time}${shift}`;
+    })
+    .join(" · ");
+}
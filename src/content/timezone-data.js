@@ -1,5 +1,8 @@
-// Maps timezone abbreviations and plain English names to IANA timezone strings.
+// Maps timezone abbreviations and plain names to IANA timezone strings,
+// English first, then names from other languages chrono parses.
 // Order matters — more specific patterns first.
+// Abbreviations that mean different zones in different places (IST, CST, BST,
+// AST) map to an array of candidates in default order; see rankCandidates.
 
 export const TIMEZONE_MAP = new Map([
   // US timezones — long forms first (regex matches longest first)
@@ -15,7 +18,7 @@ export const TIMEZONE_MAP = new Map([
   ["Central Daylight Time", "America/Chicago"],
   ["Central Time", "America/Chicago"],
   ["Central", "America/Chicago"],
-  ["CST", "America/Chicago"],
+  ["CST", ["America/Chicago", "Asia/Shanghai"]],
   ["CDT", "America/Chicago"],
   ["CT", "America/Chicago"],
 
@@ -53,7 +56,7 @@ export const TIMEZONE_MAP = new Map([
   ["Atlantic Daylight Time", "America/Halifax"],
   ["Atlantic Time", "America/Halifax"],
   ["Atlantic", "America/Halifax"],
-  ["AST", "America/Halifax"],
+  ["AST", ["America/Halifax", "Asia/Riyadh"]],
   ["ADT", "America/Halifax"],
   ["AT", "America/Halifax"],
 
@@ -69,7 +72,11 @@ export const TIMEZONE_MAP = new Map([
 
   ["British Summer Time", "Europe/London"],
   ["British", "Europe/London"],
-  ["BST", "Europe/London"],
+  ["BST", ["Europe/London", "Asia/Dhaka"]],
+
+  ["Irish Standard Time", "Europe/Dublin"],
+  ["Ireland", "Europe/Dublin"],
+  ["Irish Time", "Europe/Dublin"],
 
   ["Western European Summer Time", "Europe/Lisbon"],
   ["Western European Time", "Europe/Lisbon"],
@@ -82,20 +89,35 @@ export const TIMEZONE_MAP = new Map([
   ["EET", "Europe/Helsinki"],
 
   // Asia
-  ["IST", "Asia/Kolkata"],
+  ["IST", ["Asia/Kolkata", "Europe/Dublin", "Asia/Jerusalem"]],
   ["India", "Asia/Kolkata"],
+  ["India Time", "Asia/Kolkata"],
   ["Indian Standard Time", "Asia/Kolkata"],
 
+  ["Israel Standard Time", "Asia/Jerusalem"],
+  ["Israel Daylight Time", "Asia/Jerusalem"],
+  ["Israel", "Asia/Jerusalem"],
+  ["IDT", "Asia/Jerusalem"],
+
+  ["Arabia Standard Time", "Asia/Riyadh"],
+  ["Arabia", "Asia/Riyadh"],
+
+  ["Bangladesh Standard Time", "Asia/Dhaka"],
+  ["Bangladesh", "Asia/Dhaka"],
+
   ["JST", "Asia/Tokyo"],
   ["Japan", "Asia/Tokyo"],
+  ["Japan Time", "Asia/Tokyo"],
   ["Japan Standard Time", "Asia/Tokyo"],
 
   ["KST", "Asia/Seoul"],
   ["Korea", "Asia/Seoul"],
+  ["Korea Time", "Asia/Seoul"],
   ["Korea Standard Time", "Asia/Seoul"],
 
   ["CST+8", "Asia/Shanghai"],
   ["China", "Asia/Shanghai"],
+  ["China Time", "Asia/Shanghai"],
   ["China Standard Time", "Asia/Shanghai"],
 
   ["SGT", "Asia/Singapore"],
@@ -140,20 +162,343 @@ export const TIMEZONE_MAP = new Map([
 
   ["ART", "America/Argentina/Buenos_Aires"],
   ["Argentina", "America/Argentina/Buenos_Aires"],
+
+  // German
+  ["Mitteleuropäische Sommerzeit", "Europe/Berlin"],
+  ["Mitteleuropäische Zeit", "Europe/Berlin"],
+  ["MESZ", "Europe/Berlin"],
+  ["MEZ", "Europe/Berlin"],
+  ["deutscher Zeit", "Europe/Berlin"],
+  ["OESZ", "Europe/Helsinki"],
+  ["OEZ", "Europe/Helsinki"],
+  ["WESZ", "Europe/Lisbon"],
+  ["WEZ", "Europe/Lisbon"],
+
+  // French (Canadian abbreviations: heure normale / avancée de l'Est…)
+  ["heure normale d'Europe centrale", "Europe/Paris"],
+  ["heure d'été d'Europe centrale", "Europe/Paris"],
+  ["heure de Paris", "Europe/Paris"],
+  ["heure de l'Est", "America/New_York"],
+  ["HNE", "America/New_York"],
+  ["HAE", "America/New_York"],
+  ["HNC", "America/Chicago"],
+  ["HAC", "America/Chicago"],
+  ["HNR", "America/Denver"],
+  ["HAR", "America/Denver"],
+  ["HNP", "America/Los_Angeles"],
+  ["HAP", "America/Los_Angeles"],
+  ["HNA", "America/Halifax"],
+  ["HAA", "America/Halifax"],
+
+  // Spanish and Portuguese
+  ["hora peninsular", "Europe/Madrid"],
+  ["hora de Madrid", "Europe/Madrid"],
+  ["hora del Este", "America/New_York"],
+  ["horário de Brasília", "America/Sao_Paulo"],
+  ["hora de Brasília", "America/Sao_Paulo"],
+
+  // Japanese, Chinese and Korean
+  ["日本時間", "Asia/Tokyo"],
+  ["日本標準時", "Asia/Tokyo"],
+  ["北京时间", "Asia/Shanghai"],
+  ["北京時間", "Asia/Shanghai"],
+  ["한국 시간", "Asia/Seoul"],
 ]);
 
+// Regions (ISO 3166 country codes) whose users most likely mean each
+// candidate of an ambiguous abbreviation.
+const CANDIDATE_REGIONS = {
+  "America/Chicago": ["US", "CA", "MX"],
+  "Asia/Shanghai": ["CN", "TW", "HK", "MO", "SG"],
+  "America/Halifax": ["CA", "PR", "BM"],
+  "Asia/Riyadh": ["SA", "KW", "QA", "BH", "YE", "IQ", "AE", "OM"],
+  "Europe/London": ["GB"],
+  "Asia/Dhaka": ["BD"],
+  "Asia/Kolkata": ["IN", "LK"],
+  "Europe/Dublin": ["IE"],
+  "Asia/Jerusalem": ["IL"],
+};
+
+function defaultLocale() {
+  return globalThis.navigator?.language ?? Intl.DateTimeFormat().resolvedOptions().locale;
+}
+
+function localeRegion(locale) {
+  try {
+    return new Intl.Locale(locale).maximize().region ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Order the candidate zones for a TIMEZONE_MAP key. A saved preference for
+ * the key comes first, then zones used in the locale's region, then the
+ * map's own order.
+ *
+ * @param {string} key - TIMEZONE_MAP key, e.g. "IST"
+ * @param {object} [opts]
+ * @param {string} [opts.locale]                  - BCP 47 tag; defaults to the browser's
+ * @param {Object<string, string>} [opts.preferences] - Abbreviation → preferred IANA zone
+ * @returns {string[]} IANA zones, most likely first
+ */
+export function rankCandidates(key, { locale = defaultLocale(), preferences = {} } = {}) {
+  const value = TIMEZONE_MAP.get(key);
+  const candidates = Array.isArray(value) ? value : [value];
+  const preferred = preferences[key];
+  const region = localeRegion(locale);
+
+  const score = (tz) => {
+    if (tz === preferred) return 0;
+    if (region && CANDIDATE_REGIONS[tz]?.includes(region)) return 1;
+    return 2;
+  };
+
+  // Array.prototype.sort is stable, so ties keep the map's order
+  const ranked = [...candidates].sort((a, b) => score(a) - score(b));
+  if (preferred && !ranked.includes(preferred)) ranked.unshift(preferred);
+  return ranked;
+}
+
+// Names that pin down one half of a DST zone's year, with the offset (minutes
+// east of UTC) each half uses. A name for the other half is listed so a
+// mismatch can suggest it; names[i] pairs with the other half's names[i].
+const SEASONAL_NAMES = {
+  "America/New_York": {
+    standard: { offset: -300, names: ["EST", "Eastern Standard Time", "HNE"] },
+    daylight: { offset: -240, names: ["EDT", "Eastern Daylight Time", "HAE"] },
+  },
+  "America/Chicago": {
+    standard: { offset: -360, names: ["CST", "Central Standard Time", "HNC"] },
+    daylight: { offset: -300, names: ["CDT", "Central Daylight Time", "HAC"] },
+  },
+  "America/Denver": {
+    standard: { offset: -420, names: ["MST", "Mountain Standard Time", "HNR"] },
+    daylight: { offset: -360, names: ["MDT", "Mountain Daylight Time", "HAR"] },
+  },
+  "America/Los_Angeles": {
+    standard: { offset: -480, names: ["PST", "Pacific Standard Time", "HNP"] },
+    daylight: { offset: -420, names: ["PDT", "Pacific Daylight Time", "HAP"] },
+  },
+  "America/Anchorage": {
+    standard: { offset: -540, names: ["AKST", "Alaska Standard Time"] },
+    daylight: { offset: -480, names: ["AKDT", "Alaska Daylight Time"] },
+  },
+  "America/Halifax": {
+    standard: { offset: -240, names: ["AST", "Atlantic Standard Time", "HNA"] },
+    daylight: { offset: -180, names: ["ADT", "Atlantic Daylight Time", "HAA"] },
+  },
+  "Europe/London": {
+    standard: { offset: 0, names: ["GMT"] },
+    daylight: { offset: 60, names: ["BST", "British Summer Time"] },
+  },
+  "Europe/Dublin": {
+    standard: { offset: 0, names: ["GMT"] },
+    daylight: { offset: 60, names: ["IST", "Irish Standard Time"] },
+  },
+  "Europe/Lisbon": {
+    standard: { offset: 0, names: ["WET", "Western European Time", "WEZ"] },
+    daylight: { offset: 60, names: ["WEST", "Western European Summer Time", "WESZ"] },
+  },
+  "Europe/Paris": {
+    standard: { offset: 60, names: ["CET", "Central European Time", "heure normale d'Europe centrale"] },
+    daylight: { offset: 120, names: ["CEST", "Central European Summer Time", "heure d'été d'Europe centrale"] },
+  },
+  "Europe/Berlin": {
+    standard: { offset: 60, names: ["MEZ", "Mitteleuropäische Zeit"] },
+    daylight: { offset: 120, names: ["MESZ", "Mitteleuropäische Sommerzeit"] },
+  },
+  "Europe/Helsinki": {
+    standard: { offset: 120, names: ["EET", "Eastern European Time", "OEZ"] },
+    daylight: { offset: 180, names: ["EEST", "Eastern European Summer Time", "OESZ"] },
+  },
+  "Asia/Jerusalem": {
+    standard: { offset: 120, names: ["IST", "Israel Standard Time"] },
+    daylight: { offset: 180, names: ["IDT", "Israel Daylight Time"] },
+  },
+  "Australia/Sydney": {
+    standard: { offset: 600, names: ["AEST", "Australian Eastern Standard Time"] },
+    daylight: { offset: 660, names: ["AEDT", "Australian Eastern Daylight Time"] },
+  },
+  "Australia/Adelaide": {
+    standard: { offset: 570, names: ["ACST"] },
+    daylight: { offset: 630, names: ["ACDT"] },
+  },
+  "Pacific/Auckland": {
+    standard: { offset: 720, names: ["NZST", "New Zealand Standard Time"] },
+    daylight: { offset: 780, names: ["NZDT", "New Zealand Daylight Time"] },
+  },
+};
+
+/**
+ * What a season-specific zone name ("EST", "British Summer Time") means in
+ * `tz`: the fixed offset it stands for, whether that's the zone's daylight
+ * time, and the name for the other half of the year. Null for names that
+ * hold all year ("ET", "Pacific Time") and zones without DST.
+ *
+ * @param {string} key - TIMEZONE_MAP key
+ * @param {string} tz  - IANA zone the key was resolved to
+ * @returns {{ offset: number, daylight: boolean, counterpart: string }|null}
+ */
+export function seasonalName(key, tz) {
+  const seasons = SEASONAL_NAMES[tz];
+  if (!seasons) return null;
+
+  for (const daylight of [false, true]) {
+    const season = daylight ? seasons.daylight : seasons.standard;
+    const i = season.names.indexOf(key);
+    if (i === -1) continue;
+
+    const other = daylight ? seasons.standard : seasons.daylight;
+    return { offset: season.offset, daylight, counterpart: other.names[i] ?? other.names[0] };
+  }
+  return null;
+}
+
+/**
+ * Zone a name resolves to in strict abbreviation mode: the fixed offset for
+ * season-specific names ("EST" → UTC-5 all year), `tz` itself otherwise.
+ *
+ * @param {string|null} key - TIMEZONE_MAP key, null for numeric offsets
+ * @param {string} tz
+ * @returns {string}
+ */
+export function strictZone(key, tz) {
+  const season = key ? seasonalName(key, tz) : null;
+  return season ? offsetToZone(season.offset) : tz;
+}
+
 // Sorted by length descending so longer/more-specific phrases match first
 const SORTED_KEYS = [...TIMEZONE_MAP.keys()].sort((a, b) => b.length - a.length);
 
-// Regex built from all keys (escaped), longest first.
-// \b word boundaries prevent matching abbreviations inside words
-// (e.g. "EET" must not match inside "meeting").
+// Apostrophes are written both ways ("l'Est", "l’Est"); keys use the ASCII one
+const normalizeApostrophes = (name) => name.replace(/\u2019/g, "'");
+
+// A key's pattern: escaped, either apostrophe accepted, and guarded against
+// letters on each side so abbreviations don't match inside words ("EET" in
+// "meeting", "MEZ" in "Mezzanine"). CJK names have no spaces around them,
+// so their ends go unguarded.
+function keyPattern(key) {
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/'/g, "['\u2019]");
+  const guard = (char) => /[\p{Script=Latin}\d]/u.test(char);
+  const before = guard(key[0]) ? "(?<![\\p{L}\\p{N}_])" : "";
+  const after = guard(key[key.length - 1]) ? "(?![\\p{L}\\p{N}_])" : "";
+  return `${before}${escaped}${after}`;
+}
+
+// Regex built from all keys, longest first.
 // Uses global flag so detectTimezone can iterate through all matches.
-const TIMEZONE_REGEX = new RegExp(
-  SORTED_KEYS.map((k) => `\\b${k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).join("|"),
-  "gi"
+const TIMEZONE_REGEX = new RegExp(SORTED_KEYS.map(keyPattern).join("|"), "giu");
+
+// Numeric UTC offsets: "UTC+5:30", "GMT-0800", a bare "+09:00" / "-0800"
+// after an ISO 8601 timestamp or a time with seconds, and the ISO "Z"
+// suffix ("…T09:00:00Z"). A plain "14:00" only takes a spaced "+09:00":
+// "09:00-11:30" is a range, and dates and phone numbers ("2026-03-01",
+// "555-1234") have no time before them at all.
+const OFFSET_REGEX = new RegExp(
+  [
+    /\b(?:UTC|GMT) ?([+\-\u2212])(\d{1,2})(?::?(\d{2}))?(?!\d)/.source,
+    /(?:(?<=(?:\d{4}-\d{2}-\d{2}T\d\d:\d\d(?::\d\d)?|\d:\d\d:\d\d)(?:\.\d+)? ?)|(?<=\d:\d\d )(?=\+))([+\-\u2212])(\d{2}):?(\d{2})(?![\d:])/.source,
+    /(?<=\d:\d\d(?::\d\d(?:\.\d+)?)?)Z\b/.source,
+  ].join("|"),
+  "g"
 );
 
+// Prefix for fixed-offset zone ids ("UTC+05:30"). Intl doesn't accept these,
+// so parser.js converts and formats them by hand.
+const FIXED_OFFSET_PREFIX = "UTC";
+
+/**
+ * Format an offset in minutes as "+05:30" / "-08:00".
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Zone id for a numeric UTC offset. Whole hours map onto the IANA
+ * "Etc/GMT±N" zones, whose sign is inverted (UTC+2 is "Etc/GMT-2");
+ * half-hour and 45-minute offsets become a fixed-offset id like "UTC+05:30".
+ *
+ * @param {number} minutes - Offset east of UTC
+ * @returns {string}
+ */
+export function offsetToZone(minutes) {
+  if (minutes === 0) return "UTC";
+  if (minutes % 60 === 0 && minutes >= -12 * 60 && minutes <= 14 * 60) {
+    const hours = -minutes / 60;
+    return `Etc/GMT${hours > 0 ? "+" : ""}${hours}`;
+  }
+  return `${FIXED_OFFSET_PREFIX}${formatOffset(minutes)}`;
+}
+
+/**
+ * Offset in minutes of a fixed-offset zone id ("UTC+05:30" → 330),
+ * or null for anything else, IANA zones included.
+ *
+ * @param {string} tz
+ * @returns {number|null}
+ */
+export function fixedOffsetMinutes(tz) {
+  const m = /^UTC([+-])(\d{2}):(\d{2})$/.exec(tz);
+  if (!m) return null;
+  const minutes = parseInt(m[2], 10) * 60 + parseInt(m[3], 10);
+  return m[1] === "-" ? -minutes : minutes;
+}
+
+/**
+ * Human-readable label for a zone id. Offset zones read as "UTC+05:30"
+ * (including "Etc/GMT-2" → "UTC+02:00"); IANA ids lose their underscores.
+ *
+ * @param {string} tz
+ * @returns {string}
+ */
+export function zoneLabel(tz) {
+  if (fixedOffsetMinutes(tz) !== null) return tz;
+  const etc = /^Etc\/GMT([+-])(\d{1,2})$/.exec(tz);
+  if (etc) {
+    const minutes = parseInt(etc[2], 10) * 60;
+    return `UTC${formatOffset(etc[1] === "+" ? -minutes : minutes)}`;
+  }
+  return tz.replace(/_/g, " ");
+}
+
+/**
+ * Find numeric UTC offsets in text.
+ * @param {string} text
+ * @returns {Array<{ text: string, key: null, timezone: string, candidates: string[], index: number, offset: number }>}
+ */
+function detectOffsets(text) {
+  const found = [];
+
+  for (const match of text.matchAll(OFFSET_REGEX)) {
+    let offset = 0;
+    const sign = match[1] ?? match[4];
+    if (sign) {
+      const hours = parseInt(match[2] ?? match[5], 10);
+      const minutes = parseInt(match[3] ?? match[6] ?? "0", 10);
+      if (hours > 14 || minutes >= 60) continue;
+      offset = (hours * 60 + minutes) * (sign === "+" ? 1 : -1);
+    }
+
+    const timezone = offsetToZone(offset);
+    found.push({
+      text: match[0],
+      key: null,
+      timezone,
+      candidates: [timezone],
+      index: match.index,
+      offset,
+    });
+  }
+
+  return found;
+}
+
 /**
  * Returns true if the raw matched string could be a false positive.
  * Short single-word matches (like "at", "et", "in") must be ALL-CAPS
@@ -166,31 +511,59 @@ function isFalsePositive(raw) {
 }
 
 /**
- * Detect a timezone mentioned in the given text.
- * Iterates through all regex matches and returns the first valid one,
- * skipping lowercase short words that are common English false positives.
+ * Detect every timezone mentioned in the given text, in text order.
+ * Skips lowercase short words that are common English false positives.
+ * Numeric offsets ("UTC+5:30", "+09:00", "Z") win over the name they
+ * contain, so "UTC+2" is UTC+2 rather than plain UTC.
+ *
+ * Ambiguous abbreviations are ranked with rankCandidates; `timezone` is the
+ * top candidate and `candidates` lists the alternatives. With `opts.strict`,
+ * season-specific names resolve to their fixed offset instead (see
+ * strictZone), so "EST" stays UTC-5 in July; `candidates` are still IANA zones.
+ *
  * @param {string} text
- * @returns {string|null} IANA timezone string or null
+ * @param {object} [opts] - Ranking context, see rankCandidates
+ * @param {boolean} [opts.strict] - Strict abbreviation mode
+ * @returns {Array<{ text: string, key: string|null, timezone: string, candidates: string[], index: number, offset?: number }>}
+ *   `text` is the raw matched string, `key` the TIMEZONE_MAP entry it
+ *   matched (null for numeric offsets), `index` its offset in `text`.
  */
-export function detectTimezone(text) {
+export function detectTimezones(text, opts) {
+  const offsets = detectOffsets(text);
+  const insideOffset = (index) =>
+    offsets.some((o) => index >= o.index && index < o.index + o.text.length);
+
   // Reset lastIndex since the regex has the global flag
   TIMEZONE_REGEX.lastIndex = 0;
 
+  const found = [...offsets];
   let match;
   while ((match = TIMEZONE_REGEX.exec(text)) !== null) {
     const raw = match[0];
 
-    if (isFalsePositive(raw)) continue;
+    if (isFalsePositive(raw) || insideOffset(match.index)) continue;
 
-    const lc = raw.toLowerCase();
-    for (const key of SORTED_KEYS) {
-      if (key.toLowerCase() === lc) {
-        return TIMEZONE_MAP.get(key);
-      }
+    const lc = normalizeApostrophes(raw).toLowerCase();
+    const key = SORTED_KEYS.find((k) => k.toLowerCase() === lc);
+    if (key) {
+      const candidates = rankCandidates(key, opts);
+      const timezone = opts?.strict ? strictZone(key, candidates[0]) : candidates[0];
+      found.push({ text: raw, key, timezone, candidates, index: match.index });
     }
   }
 
-  return null;
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Detect a timezone mentioned in the given text.
+ * Returns the first valid match from detectTimezones.
+ * @param {string} text
+ * @param {object} [opts] - Ranking context and strict mode, see detectTimezones
+ * @returns {string|null} IANA timezone string or null
+ */
+export function detectTimezone(text, opts) {
+  return detectTimezones(text, opts)[0]?.timezone ?? null;
 }
 
 /**
@@ -351,3 +724,39 @@ export const ALL_TIMEZONES = [
   "Pacific/Port_Moresby",
   "Pacific/Tongatapu",
 ];
+
+/**
+ * Well-known cities that aren't part of any IANA id, so searching
+ * "Bangalore" or "San Francisco" finds the zone they use.
+ */
+export const ZONE_ALIASES = {
+  "America/New_York": ["New York City", "Boston", "Washington DC", "Philadelphia", "Atlanta", "Miami"],
+  "America/Chicago": ["Dallas", "Houston", "Austin", "Minneapolis", "New Orleans"],
+  "America/Denver": ["Salt Lake City", "Albuquerque"],
+  "America/Los_Angeles": ["San Francisco", "Seattle", "San Diego", "Portland", "Las Vegas", "Silicon Valley"],
+  "America/Toronto": ["Ottawa", "Montreal"],
+  "America/Sao_Paulo": ["Rio de Janeiro", "Brasilia"],
+  "America/Mexico_City": ["Guadalajara"],
+  "Europe/London": ["Manchester", "Edinburgh", "UK"],
+  "Europe/Paris": ["Lyon", "France"],
+  "Europe/Berlin": ["Munich", "Frankfurt", "Hamburg", "Germany"],
+  "Europe/Madrid": ["Barcelona", "Spain"],
+  "Europe/Rome": ["Milan", "Italy"],
+  "Europe/Zurich": ["Geneva", "Switzerland"],
+  "Europe/Amsterdam": ["Rotterdam", "Netherlands"],
+  "Europe/Kiev": ["Kyiv", "Ukraine"],
+  "Europe/Istanbul": ["Ankara", "Turkey"],
+  "Asia/Kolkata": ["Bangalore", "Bengaluru", "Mumbai", "Delhi", "New Delhi", "Chennai", "Hyderabad", "Pune", "Calcutta"],
+  "Asia/Shanghai": ["Beijing", "Shenzhen", "Guangzhou"],
+  "Asia/Tokyo": ["Osaka", "Kyoto"],
+  "Asia/Dubai": ["Abu Dhabi", "UAE"],
+  "Asia/Ho_Chi_Minh": ["Saigon", "Hanoi", "Vietnam"],
+  "Asia/Jakarta": ["Indonesia"],
+  "Asia/Manila": ["Philippines"],
+  "Asia/Jerusalem": ["Tel Aviv"],
+  "Asia/Karachi": ["Lahore", "Islamabad"],
+  "Australia/Sydney": ["Canberra"],
+  "Pacific/Auckland": ["Wellington"],
+  "Africa/Johannesburg": ["Cape Town", "South Africa"],
+  "Africa/Lagos": ["Nigeria"],
+};
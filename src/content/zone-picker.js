@@ -0,0 +1,299 @@
+import { ALL_TIMEZONES, zoneLabel } from "./timezone-data.js";
+import { buildZoneIndex, searchZones } from "../shared/zone-search.js";
+
+export const ZONE_PICKER_STYLES = `
+  .zone-picker {
+    position: relative;
+    flex: 1;
+    min-width: 0;
+  }
+
+  .zone-picker input {
+    width: 100%;
+    font-size: 13px;
+    font-family: inherit;
+    padding: 6px 8px;
+    border: 1px solid #d0d0d8;
+    border-radius: 6px;
+    background: #fff;
+    color: #222;
+    outline: none;
+  }
+  .zone-picker input:focus {
+    border-color: #6366f1;
+    box-shadow: 0 0 0 2px rgba(99,102,241,0.15);
+  }
+
+  .zone-list {
+    position: absolute;
+    top: calc(100% + 4px);
+    left: 0;
+    right: 0;
+    max-height: 240px;
+    overflow-y: auto;
+    list-style: none;
+    background: #fff;
+    border: 1px solid #d0d0d8;
+    border-radius: 6px;
+    box-shadow: 0 6px 20px rgba(0,0,0,0.15);
+    z-index: 1;
+  }
+  .zone-picker.above .zone-list {
+    top: auto;
+    bottom: calc(100% + 4px);
+  }
+
+  .zone-option {
+    display: flex;
+    justify-content: space-between;
+    gap: 8px;
+    padding: 5px 8px;
+    font-size: 13px;
+    color: #222;
+    cursor: pointer;
+  }
+  .zone-option[aria-selected="true"] {
+    background: #ede9fe;
+  }
+  .zone-option.favorite .zone-option-name::before {
+    content: "\\2605  ";
+    color: #f59e0b;
+  }
+
+  .zone-option-name {
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .zone-option-meta {
+    font-size: 11px;
+    color: #777;
+    white-space: nowrap;
+    flex-shrink: 0;
+  }
+
+  .zone-empty {
+    padding: 6px 8px;
+    font-size: 12px;
+    color: #999;
+    font-style: italic;
+  }
+`;
+
+// Offsets and abbreviations depend on the moment, so the shared index is
+// rebuilt at most once an hour rather than for every picker.
+const INDEX_TTL_MS = 60 * 60 * 1000;
+let cachedIndex = null;
+let cachedAt = 0;
+
+function getIndex() {
+  if (!cachedIndex || Date.now() - cachedAt > INDEX_TTL_MS) {
+    cachedIndex = buildZoneIndex(ALL_TIMEZONES);
+    cachedAt = Date.now();
+  }
+  return cachedIndex;
+}
+
+let pickerCount = 0;
+
+/**
+ * Type-ahead timezone combobox, a drop-in for a timezone <select>.
+ * Fuzzy-searches zone ids, city names, TIMEZONE_MAP abbreviations and
+ * aliases, and offsets ("+5:30"); each entry shows its current offset
+ * and abbreviation. Arrow keys move, Enter picks, Escape cancels.
+ *
+ * Fires "change" on the returned element when the user picks a zone.
+ *
+ * @param {object} opts
+ * @param {string} opts.value          - Initial zone ("" for none)
+ * @param {string[]} [opts.favorites]  - Zones listed first when the query is empty
+ * @param {string} opts.label          - Accessible name
+ * @param {string} [opts.placeholder]
+ * @returns {{ el: HTMLElement, value: string, addEventListener: Function }}
+ */
+export function createZonePicker({ value, favorites = [], label, placeholder = "" }) {
+  const id = `zone-picker-${++pickerCount}`;
+  let current = value;
+  let results = [];
+  let active = -1;
+
+  const root = document.createElement("div");
+  root.className = "zone-picker";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.placeholder = placeholder;
+  input.value = current ? zoneLabel(current) : "";
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-label", label);
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-expanded", "false");
+  input.setAttribute("aria-controls", `${id}-list`);
+
+  const list = document.createElement("ul");
+  list.className = "zone-list";
+  list.id = `${id}-list`;
+  list.hidden = true;
+  list.setAttribute("role", "listbox");
+  list.setAttribute("aria-label", label);
+
+  root.appendChild(input);
+  root.appendChild(list);
+
+  function entriesFor(query) {
+    const index = getIndex();
+
+    // Zones outside ALL_TIMEZONES (offset zones, odd favorites) still need an entry
+    const missing = [current, ...favorites].filter(
+      (tz, i, arr) => tz && arr.indexOf(tz) === i && !index.some((e) => e.tz === tz)
+    );
+    const all = [...buildZoneIndex(missing), ...index];
+
+    if (query.trim()) return searchZones(all, query);
+
+    const favs = favorites.map((tz) => all.find((e) => e.tz === tz)).filter(Boolean);
+    return [...favs, ...all.filter((e) => !favorites.includes(e.tz))];
+  }
+
+  function render() {
+    list.replaceChildren();
+
+    if (results.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "zone-empty";
+      empty.textContent = "No matching timezones";
+      list.appendChild(empty);
+      return;
+    }
+
+    results.forEach((entry, i) => {
+      const option = document.createElement("li");
+      option.className = favorites.includes(entry.tz) ? "zone-option favorite" : "zone-option";
+      option.id = `${id}-opt-${i}`;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+
+      const name = document.createElement("span");
+      name.className = "zone-option-name";
+      name.textContent = entry.label;
+
+      const meta = document.createElement("span");
+      meta.className = "zone-option-meta";
+      meta.textContent = entry.abbr ? `${entry.abbr} · ${entry.offsetLabel}` : entry.offsetLabel;
+
+      option.appendChild(name);
+      option.appendChild(meta);
+
+      // mousedown, not click, so the input doesn't blur (and close) first
+      option.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        commit(entry.tz);
+      });
+      option.addEventListener("mousemove", () => {
+        if (active !== i) setActive(i);
+      });
+
+      list.appendChild(option);
+    });
+  }
+
+  function setActive(i) {
+    active = i;
+    const options = list.querySelectorAll('[role="option"]');
+    options.forEach((o, j) => o.setAttribute("aria-selected", String(j === i)));
+
+    if (i >= 0 && options[i]) {
+      input.setAttribute("aria-activedescendant", options[i].id);
+      options[i].scrollIntoView({ block: "nearest" });
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function open(query) {
+    results = entriesFor(query);
+    render();
+
+    // Open upwards when there isn't room below (e.g. near the dialog bottom)
+    const rect = input.getBoundingClientRect();
+    const below = window.innerHeight - rect.bottom;
+    root.classList.toggle("above", below < 250 && rect.top > below);
+
+    list.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    setActive(query.trim() ? 0 : results.findIndex((e) => e.tz === current));
+  }
+
+  function close() {
+    list.hidden = true;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+    input.value = current ? zoneLabel(current) : "";
+  }
+
+  function commit(tz) {
+    const changed = tz !== current;
+    current = tz;
+    close();
+    if (changed) root.dispatchEvent(new Event("change"));
+  }
+
+  input.addEventListener("focus", () => {
+    input.select();
+    open("");
+  });
+  input.addEventListener("input", () => open(input.value));
+  input.addEventListener("blur", close);
+
+  input.addEventListener("keydown", (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (list.hidden) open("");
+        else setActive(Math.min(active + 1, results.length - 1));
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (!list.hidden) setActive(Math.max(active - 1, 0));
+        break;
+      case "PageDown":
+        e.preventDefault();
+        if (!list.hidden) setActive(Math.min(active + 10, results.length - 1));
+        break;
+      case "PageUp":
+        e.preventDefault();
+        if (!list.hidden) setActive(Math.max(active - 10, 0));
+        break;
+      case "Enter":
+        if (!list.hidden && results[active]) {
+          e.preventDefault();
+          commit(results[active].tz);
+        }
+        break;
+      case "Escape":
+        // Close the list without letting the dialog's Escape handler fire
+        if (!list.hidden) {
+          e.preventDefault();
+          e.stopPropagation();
+          close();
+          input.select();
+        }
+        break;
+    }
+  });
+
+  return {
+    el: root,
+    get value() {
+      return current;
+    },
+    set value(tz) {
+      current = tz;
+      input.value = tz ? zoneLabel(tz) : "";
+    },
+    addEventListener: (type, listener) => root.addEventListener(type, listener),
+  };
+}
@@ -0,0 +1,269 @@
+import { TIMEZONE_MAP, zoneLabel } from "../content/timezone-data.js";
+import { COPY_FORMATS } from "../shared/copy-formats.js";
+import { applyHistoryRetention } from "../shared/history.js";
+import { DEFAULT_WORKING_HOURS } from "../shared/planner.js";
+import { getLocalTimezone, loadSettings, outputFormat, saveSettings } from "../shared/settings.js";
+import { buildTimezoneOptions } from "../shared/zone-options.js";
+
+const defaultTargetSelect = document.getElementById("default-target");
+const favoritesList = document.getElementById("favorites");
+const favoriteAddSelect = document.getElementById("favorite-add");
+const favoriteAddBtn = document.getElementById("favorite-add-btn");
+const abbreviationsEl = document.getElementById("abbreviations");
+const workingHoursList = document.getElementById("working-hours");
+const workingHoursZoneSelect = document.getElementById("working-hours-zone");
+const workingHoursStartSelect = document.getElementById("working-hours-start");
+const workingHoursEndSelect = document.getElementById("working-hours-end");
+const workingHoursSetBtn = document.getElementById("working-hours-set");
+const historyDaysSelect = document.getElementById("history-days");
+const strictCheckbox = document.getElementById("strict-abbreviations");
+const annotateCheckbox = document.getElementById("annotate-pages");
+const pageDatesCheckbox = document.getElementById("use-page-dates");
+const forwardCheckbox = document.getElementById("forward-dates");
+const localeSelect = document.getElementById("output-locale");
+const hourCycleSelect = document.getElementById("hour-cycle");
+const formatPreview = document.getElementById("format-preview");
+const copyFormatSelect = document.getElementById("copy-format");
+const templateRow = document.getElementById("template-row");
+const templateHint = document.getElementById("template-hint");
+const templateInput = document.getElementById("copy-template");
+const statusEl = document.getElementById("status");
+
+// Offered as output languages, besides the browser's own
+const OUTPUT_LOCALES = [
+  "en-US", "en-GB", "en-AU", "en-IN", "de-DE", "fr-FR", "es-ES", "it-IT",
+  "nl-NL", "pt-BR", "sv-SE", "pl-PL", "ru-RU", "ja-JP", "zh-CN", "ko-KR",
+];
+
+let settings;
+let statusTimer;
+
+async function save(patch) {
+  Object.assign(settings, patch);
+  await saveSettings(patch);
+
+  statusEl.textContent = "Saved";
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => { statusEl.textContent = ""; }, 1500);
+}
+
+function renderDefaultTarget() {
+  const localTZ = getLocalTimezone();
+
+  defaultTargetSelect.replaceChildren(
+    new Option(`System timezone (${zoneLabel(localTZ)})`, ""),
+    ...buildTimezoneOptions(settings.defaultTargetTZ, settings.favoriteZones)
+  );
+  defaultTargetSelect.value = settings.defaultTargetTZ;
+}
+
+function renderFavorites() {
+  favoritesList.replaceChildren();
+
+  if (settings.favoriteZones.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "empty";
+    empty.textContent = "No favorites yet.";
+    favoritesList.appendChild(empty);
+  }
+
+  for (const tz of settings.favoriteZones) {
+    const item = document.createElement("li");
+    item.textContent = zoneLabel(tz);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.textContent = "×";
+    removeBtn.setAttribute("aria-label", `Remove ${zoneLabel(tz)}`);
+    removeBtn.addEventListener("click", async () => {
+      await save({ favoriteZones: settings.favoriteZones.filter((z) => z !== tz) });
+      render();
+    });
+
+    item.appendChild(removeBtn);
+    favoritesList.appendChild(item);
+  }
+
+  favoriteAddSelect.replaceChildren(...buildTimezoneOptions(getLocalTimezone()));
+}
+
+function renderWorkingHours() {
+  workingHoursList.replaceChildren();
+  const zones = Object.keys(settings.workingHours);
+
+  if (zones.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "empty";
+    empty.textContent = "Every zone uses 9:00–17:00.";
+    workingHoursList.appendChild(empty);
+  }
+
+  for (const tz of zones) {
+    const [start, end] = settings.workingHours[tz];
+    const item = document.createElement("li");
+    item.textContent = `${zoneLabel(tz)}: ${start}:00–${end}:00`;
+
+    const resetBtn = document.createElement("button");
+    resetBtn.type = "button";
+    resetBtn.textContent = "×";
+    resetBtn.setAttribute("aria-label", `Reset working hours for ${zoneLabel(tz)}`);
+    resetBtn.addEventListener("click", async () => {
+      const { [tz]: _removed, ...rest } = settings.workingHours;
+      await save({ workingHours: rest });
+      renderWorkingHours();
+    });
+
+    item.appendChild(resetBtn);
+    workingHoursList.appendChild(item);
+  }
+
+  // Same zone list as the dialog's pickers, favorites first
+  workingHoursZoneSelect.replaceChildren(...buildTimezoneOptions(getLocalTimezone(), settings.favoriteZones));
+  const hours = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => new Option(`${from + i}:00`, String(from + i)));
+  workingHoursStartSelect.replaceChildren(...hours(0, 23));
+  workingHoursEndSelect.replaceChildren(...hours(1, 24));
+  workingHoursStartSelect.value = String(DEFAULT_WORKING_HOURS[0]);
+  workingHoursEndSelect.value = String(DEFAULT_WORKING_HOURS[1]);
+}
+
+function renderAbbreviations() {
+  abbreviationsEl.replaceChildren();
+
+  for (const [key, candidates] of TIMEZONE_MAP) {
+    if (!Array.isArray(candidates)) continue;
+
+    const row = document.createElement("div");
+    row.className = "row";
+
+    const label = document.createElement("label");
+    label.textContent = key;
+
+    const select = document.createElement("select");
+    select.setAttribute("aria-label", `Meaning of ${key}`);
+    select.appendChild(new Option("Automatic", ""));
+    candidates.forEach((tz) => select.appendChild(new Option(zoneLabel(tz), tz)));
+    select.value = settings.abbreviationPreferences[key] ?? "";
+
+    select.addEventListener("change", () => {
+      const preferences = { ...settings.abbreviationPreferences };
+      if (select.value) preferences[key] = select.value;
+      else delete preferences[key];
+      save({ abbreviationPreferences: preferences });
+    });
+
+    row.appendChild(label);
+    row.appendChild(select);
+    abbreviationsEl.appendChild(row);
+  }
+}
+
+function renderOutputFormat() {
+  const names = new Intl.DisplayNames(undefined, { type: "language" });
+  const locales = OUTPUT_LOCALES.includes(settings.outputLocale) || !settings.outputLocale
+    ? OUTPUT_LOCALES
+    : [settings.outputLocale, ...OUTPUT_LOCALES];
+
+  localeSelect.replaceChildren(
+    new Option("Browser language", ""),
+    ...locales.map((locale) => new Option(names.of(locale) ?? locale, locale))
+  );
+  localeSelect.value = settings.outputLocale;
+  hourCycleSelect.value = settings.hourCycle;
+
+  const { locale, hourCycle } = outputFormat(settings);
+  const example = new Intl.DateTimeFormat(locale, {
+    weekday: "short",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hourCycle,
+  }).format(new Date());
+  formatPreview.textContent = `Example: ${example}`;
+}
+
+function renderCopyFormat() {
+  copyFormatSelect.replaceChildren(...COPY_FORMATS.map(({ id, label }) => new Option(label, id)));
+  copyFormatSelect.value = settings.copyFormat;
+  templateInput.value = settings.copyTemplate;
+  templateRow.hidden = templateHint.hidden = settings.copyFormat !== "custom";
+}
+
+function render() {
+  renderDefaultTarget();
+  renderFavorites();
+  renderWorkingHours();
+  renderAbbreviations();
+  renderOutputFormat();
+  renderCopyFormat();
+  strictCheckbox.checked = settings.strictAbbreviations;
+  annotateCheckbox.checked = settings.annotatePages;
+  pageDatesCheckbox.checked = settings.usePageDates;
+  forwardCheckbox.checked = settings.forwardDates;
+  historyDaysSelect.value = String(settings.historyDays);
+}
+
+defaultTargetSelect.addEventListener("change", () => {
+  save({ defaultTargetTZ: defaultTargetSelect.value });
+});
+
+localeSelect.addEventListener("change", async () => {
+  await save({ outputLocale: localeSelect.value });
+  renderOutputFormat();
+});
+
+hourCycleSelect.addEventListener("change", async () => {
+  await save({ hourCycle: hourCycleSelect.value });
+  renderOutputFormat();
+});
+
+copyFormatSelect.addEventListener("change", async () => {
+  await save({ copyFormat: copyFormatSelect.value });
+  renderCopyFormat();
+});
+
+templateInput.addEventListener("change", () => {
+  save({ copyTemplate: templateInput.value });
+});
+
+annotateCheckbox.addEventListener("change", () => {
+  save({ annotatePages: annotateCheckbox.checked });
+});
+
+pageDatesCheckbox.addEventListener("change", () => {
+  save({ usePageDates: pageDatesCheckbox.checked });
+});
+
+forwardCheckbox.addEventListener("change", () => {
+  save({ forwardDates: forwardCheckbox.checked });
+});
+
+historyDaysSelect.addEventListener("change", async () => {
+  const historyDays = Number(historyDaysSelect.value);
+  await save({ historyDays });
+  applyHistoryRetention(historyDays);
+});
+
+strictCheckbox.addEventListener("change", () => {
+  save({ strictAbbreviations: strictCheckbox.checked });
+});
+
+workingHoursSetBtn.addEventListener("click", async () => {
+  const tz = workingHoursZoneSelect.value;
+  if (!tz) return;
+  const hours = [Number(workingHoursStartSelect.value), Number(workingHoursEndSelect.value)];
+  await save({ workingHours: { ...settings.workingHours, [tz]: hours } });
+  renderWorkingHours();
+});
+
+favoriteAddBtn.addEventListener("click", async () => {
+  const tz = favoriteAddSelect.value;
+  if (!tz || settings.favoriteZones.includes(tz)) return;
+  await save({ favoriteZones: [...settings.favoriteZones, tz] });
+  render();
+});
+
+loadSettings().then((loaded) => {
+  settings = loaded;
+  render();
+});
@@ -0,0 +1,278 @@
+import { convertParsed, formatDateTime, formatDayDelta, parseSelectedText } from "../shared/parser.js";
+import { getLocalTimezone, loadSettings, outputFormat } from "../shared/settings.js";
+import { clearHistory, exportHistory, loadHistory, searchHistory } from "../shared/history.js";
+import { relativeTime } from "../shared/relative-time.js";
+import { detectTimezone, zoneLabel } from "../content/timezone-data.js";
+import { createZonePicker, ZONE_PICKER_STYLES } from "../content/zone-picker.js";
+
+const input = document.getElementById("input");
+const fromRow = document.getElementById("from-row");
+const toRow = document.getElementById("to-row");
+const resultsEl = document.getElementById("results");
+const referenceNote = document.getElementById("reference-note");
+const referenceText = document.getElementById("reference-text");
+const referenceClear = document.getElementById("reference-clear");
+const converterView = document.getElementById("converter");
+const historyView = document.getElementById("history");
+const historyBtn = document.getElementById("history-btn");
+const historySearch = document.getElementById("history-search");
+const historyList = document.getElementById("history-list");
+const historyExport = document.getElementById("history-export");
+const historyClear = document.getElementById("history-clear");
+
+const pickerStyle = document.createElement("style");
+pickerStyle.textContent = ZONE_PICKER_STYLES;
+document.head.appendChild(pickerStyle);
+
+loadSettings().then((settings) => {
+  const localTZ = getLocalTimezone();
+  const zoneOpts = {
+    preferences: settings.abbreviationPreferences,
+    strict: settings.strictAbbreviations,
+    forwardDate: settings.forwardDates,
+  };
+  const format = outputFormat(settings);
+
+  const fromSelect = createZonePicker({
+    value: localTZ,
+    favorites: settings.favoriteZones,
+    label: "Source timezone",
+  });
+  const toSelect = createZonePicker({
+    value: settings.defaultTargetTZ || localTZ,
+    favorites: settings.favoriteZones,
+    label: "Target timezone",
+  });
+
+  const detectedBadge = document.createElement("span");
+  detectedBadge.className = "detected-badge";
+  detectedBadge.textContent = "detected";
+  detectedBadge.hidden = true;
+
+  fromRow.appendChild(fromSelect.el);
+  fromRow.appendChild(detectedBadge);
+  toRow.appendChild(toSelect.el);
+
+  // As in the dialog: a time that names its own zone converts from it until
+  // the user picks a source, which then applies to every time
+  let fromOverridden = false;
+
+  // Date a reopened history entry's relative dates were read against, so
+  // "tomorrow 3pm" still means the day it was saved; null for today
+  let referenceDate = null;
+
+  function update() {
+    const text = input.value.trim();
+    const matches = text ? parseSelectedText(text, { ...zoneOpts, referenceDate: referenceDate ?? undefined, anyLanguage: true }) : null;
+
+    referenceNote.hidden = !referenceDate;
+    if (referenceDate) {
+      const day = new Intl.DateTimeFormat(format.locale, { dateStyle: "medium" }).format(referenceDate);
+      referenceText.textContent = `Read as of ${day}, from history`;
+    }
+
+    if (!fromOverridden) {
+      const detectedTZ = text ? detectTimezone(text, zoneOpts) : null;
+      fromSelect.value = detectedTZ || localTZ;
+      detectedBadge.hidden = !detectedTZ;
+    }
+
+    resultsEl.replaceChildren();
+
+    if (!matches) {
+      const empty = document.createElement("div");
+      empty.className = "empty";
+      empty.textContent = text ? "No date or time found." : "Results appear here as you type.";
+      resultsEl.appendChild(empty);
+      return;
+    }
+
+    for (const match of matches) {
+      const from = fromOverridden ? fromSelect.value : (match.timezone ?? fromSelect.value);
+      resultsEl.appendChild(buildResult(match, from, toSelect.value, format, matches.length > 1));
+    }
+  }
+
+  input.addEventListener("input", update);
+  fromSelect.addEventListener("change", () => {
+    fromOverridden = true;
+    detectedBadge.hidden = true;
+    update();
+  });
+  toSelect.addEventListener("change", update);
+  referenceClear.addEventListener("click", () => {
+    referenceDate = null;
+    update();
+  });
+  update();
+
+  // History: every conversion made in the page dialog, newest first
+  let entries = [];
+
+  function showView(history) {
+    historyView.hidden = !history;
+    converterView.hidden = history;
+    historyBtn.setAttribute("aria-pressed", String(history));
+  }
+
+  function renderHistory() {
+    historyList.replaceChildren();
+    const found = searchHistory(entries, historySearch.value);
+
+    if (found.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "empty";
+      empty.textContent = entries.length ? "Nothing matches." : "Times you convert on pages show up here.";
+      historyList.appendChild(empty);
+      return;
+    }
+
+    const now = new Date();
+    for (const entry of found) {
+      const item = document.createElement("li");
+      item.appendChild(buildHistoryEntry(entry, now, format, () => reopen(entry)));
+      historyList.appendChild(item);
+    }
+  }
+
+  // Load an entry back into the converter as it was: same text, read
+  // against the same date, from and to the same zones
+  function reopen(entry) {
+    referenceDate = new Date(entry.referenceDate);
+    input.value = entry.text;
+    toSelect.value = entry.targets[0];
+    fromOverridden = false;
+    update();
+
+    if (fromSelect.value !== entry.from) {
+      fromSelect.value = entry.from;
+      fromOverridden = true;
+      detectedBadge.hidden = true;
+      update();
+    }
+
+    showView(false);
+    input.focus();
+  }
+
+  historyBtn.addEventListener("click", async () => {
+    if (!historyView.hidden) {
+      showView(false);
+      return;
+    }
+    entries = await loadHistory();
+    renderHistory();
+    showView(true);
+    historySearch.focus();
+  });
+
+  historySearch.addEventListener("input", renderHistory);
+
+  historyExport.addEventListener("click", () => {
+    const url = URL.createObjectURL(new Blob([exportHistory(entries)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `timezone-history-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+
+  // Clearing can't be undone, so it takes a second click
+  let clearTimer;
+  historyClear.addEventListener("click", async () => {
+    if (!clearTimer) {
+      historyClear.textContent = "Click again to clear";
+      clearTimer = setTimeout(() => {
+        historyClear.textContent = "Clear history";
+        clearTimer = null;
+      }, 3000);
+      return;
+    }
+
+    clearTimeout(clearTimer);
+    clearTimer = null;
+    historyClear.textContent = "Clear history";
+    await clearHistory();
+    entries = [];
+    renderHistory();
+  });
+});
+
+/**
+ * One history entry as a button that reopens it: the selected text, its
+ * first time in the zone it was converted to, and the page and when.
+ */
+function buildHistoryEntry(entry, now, format, onOpen) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "history-entry";
+  button.title = entry.url;
+
+  const text = document.createElement("span");
+  text.className = "history-text";
+  text.textContent = entry.text;
+
+  const [first] = entry.times;
+  const time = document.createElement("span");
+  time.className = "history-time";
+  const more = entry.times.length > 1 ? ` (+${entry.times.length - 1} more)` : "";
+  time.textContent = `${formatDateTime(new Date(first.start), entry.targets[0], format)}${more}`;
+
+  const meta = document.createElement("span");
+  meta.className = "history-meta";
+  const page = entry.title || new URL(entry.url).hostname;
+  meta.textContent = `${page} \u00b7 ${relativeTime(new Date(entry.savedAt), now, format)}`;
+
+  button.append(text, time, meta);
+  button.addEventListener("click", onOpen);
+  return button;
+}
+
+/**
+ * One result box: converted date, time and zone. With several times in the
+ * text, each box is labelled with its source text and zone.
+ */
+function buildResult(match, from, to, format, labelled) {
+  const box = document.createElement("div");
+  box.className = "result-box";
+
+  if (labelled) {
+    const source = document.createElement("div");
+    source.className = "result-source";
+    source.textContent = `${match.text} · ${zoneLabel(from)}`;
+    source.title = match.text;
+    box.appendChild(source);
+  }
+
+  const date = document.createElement("div");
+  date.className = "result-date";
+  const time = document.createElement("div");
+  time.className = "result-time";
+  const tz = document.createElement("div");
+  tz.className = "result-tz";
+  const shift = document.createElement("div");
+  shift.className = "day-shift";
+  shift.hidden = true;
+
+  try {
+    const conv = convertParsed(match, from, to, format);
+    date.textContent = conv.displayDate;
+    time.textContent = conv.displayTime;
+    tz.textContent = conv.displayTZ;
+    if (conv.dayDelta) {
+      shift.textContent = `${formatDayDelta(conv.dayDelta)} \u00b7 ${conv.sourceWeekday} \u2192 ${conv.targetWeekday}`;
+      shift.hidden = false;
+    }
+  } catch (e) {
+    time.textContent = "Conversion error";
+    tz.textContent = e.message;
+  }
+
+  box.appendChild(date);
+  box.appendChild(shift);
+  box.appendChild(time);
+  box.appendChild(tz);
+  return box;
+}
@@ -0,0 +1,267 @@
+import { fixedOffsetMinutes, formatOffset } from "../content/timezone-data.js";
+import { getUtcOffset } from "./parser.js";
+
+/** Length given to events whose text has a start time but no end. */
+export const DEFAULT_EVENT_MINUTES = 60;
+
+const PRODID = "-//Timezone Translator//EN";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * End of an event: the parsed end if there was one, otherwise the start
+ * plus DEFAULT_EVENT_MINUTES.
+ *
+ * @param {Date} start
+ * @param {Date|null} end
+ * @returns {Date}
+ */
+export function eventEnd(start, end) {
+  return end ?? new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000);
+}
+
+/**
+ * A title for the event from the text around the time: `text` with the
+ * date, time and zone parts removed, and leftover separators trimmed.
+ * "Keynote — July 15, 3pm EST" becomes "Keynote".
+ *
+ * @param {string} text    - Surrounding text (or the selection itself)
+ * @param {string[]} parts - Substrings to drop, e.g. match and zone texts
+ * @returns {string} "" when nothing is left
+ */
+export function eventSummary(text, parts) {
+  let summary = text;
+  for (const part of parts) {
+    if (part) summary = summary.replace(part, " ");
+  }
+
+  return summary
+    .replace(/\s+/g, " ")
+    .replace(/^[\s\-–—|:,;.·•@()[\]]+|[\s\-–—|:,;·•@([]+$/g, "")
+    .replace(/\s+(?:at|on|from|@)$/i, "")
+    .slice(0, 120)
+    .trim();
+}
+
+// 20250715T190000Z
+function icsUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// 20250715T150000, the wall clock in `tz`
+function icsLocal(date, tz) {
+  const wall = new Date(date.getTime() + getUtcOffset(date, tz) * 60 * 1000);
+  return icsUtc(wall).slice(0, -1);
+}
+
+function escapeText(value) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets continue on the next line
+// after a single space. Splits between characters, never inside one.
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const out = [];
+  let current = "";
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = out.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  out.push(current);
+
+  return out.join("\r\n ");
+}
+
+// Fixed-offset ids ("UTC+05:30") aren't real zones a calendar knows
+function isCalendarZone(tzid) {
+  return Boolean(tzid) && fixedOffsetMinutes(tzid) === null && tzid !== "UTC";
+}
+
+function dateProperty(name, date, tzid) {
+  if (isCalendarZone(tzid)) return `${name};TZID=${tzid}:${icsLocal(date, tzid)}`;
+  return `${name}:${icsUtc(date)}`;
+}
+
+// "+0530", as TZOFFSETFROM/TZOFFSETTO want it
+function icsOffset(minutes) {
+  return formatOffset(minutes).replace(":", "");
+}
+
+// Every offset change in `tz` from `from` to `until`: sampled daily, then
+// narrowed to the minute
+function offsetTransitions(tz, from, until) {
+  const found = [];
+  for (let t = from.getTime(); t < until.getTime(); t += DAY_MS) {
+    const before = getUtcOffset(new Date(t), tz);
+    const after = getUtcOffset(new Date(t + DAY_MS), tz);
+    if (before === after) continue;
+
+    let lo = t;
+    let hi = t + DAY_MS;
+    while (hi - lo > 60 * 1000) {
+      const mid = lo + Math.floor((hi - lo) / 2 / 60000) * 60000;
+      if (getUtcOffset(new Date(mid), tz) === before) lo = mid;
+      else hi = mid;
+    }
+    found.push({ at: new Date(hi), from: before, to: after });
+  }
+  return found;
+}
+
+// Where a transition falls as "2nd Sunday of March" (2) or "last Sunday"
+// (-1), read on the wall clock it happens on
+function transitionRule({ at, from }) {
+  const wall = new Date(at.getTime() + from * 60 * 1000);
+  const day = wall.getUTCDate();
+  const monthDays = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 0)).getUTCDate();
+  return {
+    month: wall.getUTCMonth(),
+    weekday: wall.getUTCDay(),
+    nth: day + 7 > monthDays ? -1 : Math.ceil(day / 7),
+  };
+}
+
+function sameRule(a, b) {
+  return a.month === b.month && a.weekday === b.weekday && a.nth === b.nth;
+}
+
+/**
+ * A VTIMEZONE for `tzid` (RFC 5545 §3.6.5), which §3.2.19 requires for
+ * every TZID a file uses. Built from the browser's own zone data for the
+ * two years from `from`: when both years change clocks on the same
+ * "Nth weekday of the month", each change becomes a yearly rule, otherwise
+ * each change found is listed on its own date.
+ *
+ * @param {string} tzid - IANA zone
+ * @param {Date} from   - Earliest time the file uses in it
+ * @returns {string[]} Unfolded lines
+ */
+function vtimezone(tzid, from) {
+  const year = new Date(from.getTime() + getUtcOffset(from, tzid) * 60 * 1000).getUTCFullYear();
+  const transitions = offsetTransitions(tzid, new Date(Date.UTC(year, 0, 1) - DAY_MS), new Date(Date.UTC(year + 2, 0, 1)));
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${tzid}`];
+  if (transitions.length === 0) {
+    const offset = icsOffset(getUtcOffset(from, tzid));
+    lines.push("BEGIN:STANDARD", "DTSTART:19700101T000000", `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, "END:STANDARD");
+  } else {
+    const firstYear = transitions.filter((t) => t.at.getUTCFullYear() <= year);
+    const nextYear = transitions.filter((t) => t.at.getUTCFullYear() > year);
+    const yearly = firstYear.length > 0
+      && firstYear.length === nextYear.length
+      && firstYear.every((t, i) => sameRule(transitionRule(t), transitionRule(nextYear[i])));
+
+    for (const t of yearly ? firstYear : transitions) {
+      // The later of the two offsets is the "daylight" one
+      const kind = t.to > t.from ? "DAYLIGHT" : "STANDARD";
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${icsUtc(new Date(t.at.getTime() + t.from * 60 * 1000)).slice(0, -1)}`,
+        `TZOFFSETFROM:${icsOffset(t.from)}`,
+        `TZOFFSETTO:${icsOffset(t.to)}`
+      );
+      if (yearly) {
+        const { month, weekday, nth } = transitionRule(t);
+        lines.push(`RRULE:FREQ=YEARLY;BYMONTH=${month + 1};BYDAY=${nth}${WEEKDAY_CODES[weekday]}`);
+      }
+      lines.push(`END:${kind}`);
+    }
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * Build an iCalendar file (RFC 5545) with one VEVENT per event.
+ *
+ * Times are written in UTC unless an event has a `tzid`, in which case
+ * they're wall-clock times with a TZID parameter naming the IANA zone, so
+ * calendars keep the event on local time if that zone's rules change.
+ * A recurring event needs one: its `rrule` (see toRRule) repeats on that
+ * zone's wall clock, across its DST changes. Each zone used gets a
+ * VTIMEZONE describing it.
+ *
+ * @param {Array<{ summary: string, start: Date, end: Date, description?: string, tzid?: string, rrule?: string }>} events
+ * @param {object} [opts]
+ * @param {Date} [opts.now] - DTSTAMP; defaults to the current time
+ * @returns {string} CRLF-separated .ics content
+ */
+export function buildICS(events, { now = new Date() } = {}) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+
+  // Each zone once, described from the earliest time used in it
+  const zoneStarts = new Map();
+  for (const { tzid, start } of events) {
+    if (isCalendarZone(tzid) && !(zoneStarts.get(tzid) <= start)) zoneStarts.set(tzid, start);
+  }
+  zoneStarts.forEach((start, tzid) => lines.push(...vtimezone(tzid, start)));
+
+  events.forEach((event, i) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${icsUtc(event.start)}-${i}-${now.getTime().toString(36)}@timezone-translator`,
+      `DTSTAMP:${icsUtc(now)}`,
+      dateProperty("DTSTART", event.start, event.tzid),
+      dateProperty("DTEND", event.end, event.tzid),
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Google Calendar "create event" link, prefilled. A recurring event
+ * carries its RRULE and zone, so it repeats on that zone's local time.
+ *
+ * @param {{ summary: string, start: Date, end: Date, description?: string, tzid?: string, rrule?: string }} event
+ * @returns {string}
+ */
+export function googleCalendarUrl({ summary, start, end, description, tzid, rrule }) {
+  const params = new URLSearchParams({
+    action: "TEMPLATE",
+    text: summary,
+    dates: `${icsUtc(start)}/${icsUtc(end)}`,
+  });
+  if (description) params.set("details", description);
+  if (rrule) params.set("recur", `RRULE:${rrule}`);
+  if (rrule && tzid) params.set("ctz", tzid);
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/**
+ * Outlook on the web "new event" link, prefilled.
+ *
+ * @param {{ summary: string, start: Date, end: Date, description?: string }} event
+ * @returns {string}
+ */
+export function outlookCalendarUrl({ summary, start, end, description }) {
+  const params = new URLSearchParams({
+    path: "/calendar/action/compose",
+    rru: "addevent",
+    subject: summary,
+    startdt: start.toISOString().replace(/\.\d{3}/, ""),
+    enddt: end.toISOString().replace(/\.\d{3}/, ""),
+  });
+  if (description) params.set("body", description);
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
@@ -0,0 +1,202 @@
+import { formatOffset, zoneLabel } from "../content/timezone-data.js";
+import { getUtcOffset, getZoneAbbreviation } from "./parser.js";
+import { DEFAULT_SETTINGS } from "./settings.js";
+
+/**
+ * Formats offered by the copy button, in menu order.
+ * `id` is what settings.copyFormat stores.
+ */
+export const COPY_FORMATS = [
+  { id: "plain", label: "Plain text" },
+  { id: "iso", label: "ISO 8601" },
+  { id: "epoch", label: "Unix timestamp" },
+  { id: "discord", label: "Discord timestamp" },
+  { id: "slack", label: "Slack date" },
+  { id: "markdown", label: "Markdown" },
+  { id: "original", label: "Original + converted" },
+  { id: "custom", label: "Custom template" },
+];
+
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Longest tokens first so "MMMM" isn't read as "MM" twice
+const DATE_TOKENS = /YYYY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|a/g;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Format an instant as it reads in `tz` with a moment-style pattern:
+ * YYYY, MMMM (July), MMM (Jul), MM, M, DD, D, dddd (Tuesday), ddd (Tue),
+ * HH, H (24-hour), hh, h (12-hour), mm, ss, A (PM), a (pm). Text in
+ * [brackets] is copied as is.
+ *
+ * @param {Date} utcDate
+ * @param {string} tz
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function formatPattern(utcDate, tz, pattern) {
+  // Wall clock in tz, read from the Date's UTC fields
+  const d = new Date(utcDate.getTime() + getUtcOffset(utcDate, tz) * 60 * 1000);
+  const hour = d.getUTCHours();
+  const hour12 = hour % 12 || 12;
+
+  const values = {
+    YYYY: String(d.getUTCFullYear()),
+    MMMM: MONTHS[d.getUTCMonth()],
+    MMM: MONTHS[d.getUTCMonth()].slice(0, 3),
+    MM: pad(d.getUTCMonth() + 1),
+    M: String(d.getUTCMonth() + 1),
+    DD: pad(d.getUTCDate()),
+    D: String(d.getUTCDate()),
+    dddd: WEEKDAYS[d.getUTCDay()],
+    ddd: WEEKDAYS[d.getUTCDay()].slice(0, 3),
+    HH: pad(hour),
+    H: String(hour),
+    hh: pad(hour12),
+    h: String(hour12),
+    mm: pad(d.getUTCMinutes()),
+    ss: pad(d.getUTCSeconds()),
+    A: hour < 12 ? "AM" : "PM",
+    a: hour < 12 ? "am" : "pm",
+  };
+
+  return pattern
+    .split(/(\[[^\]]*\])/)
+    .map((chunk) =>
+      chunk.startsWith("[") && chunk.endsWith("]")
+        ? chunk.slice(1, -1)
+        : chunk.replace(DATE_TOKENS, (token) => values[token])
+    )
+    .join("");
+}
+
+// "+01:00" for the zone's offset at that moment, "Z" for UTC
+function isoOffset(utcDate, tz) {
+  const minutes = getUtcOffset(utcDate, tz);
+  return minutes === 0 ? "Z" : formatOffset(minutes);
+}
+
+function isoString(utcDate, tz) {
+  return formatPattern(utcDate, tz, "YYYY-MM-DD[T]HH:mm:ss") + isoOffset(utcDate, tz);
+}
+
+function zoneName(utcDate, tz, style) {
+  switch (style) {
+    case "id":
+      return tz;
+    case "offset":
+      return `UTC${formatOffset(getUtcOffset(utcDate, tz))}`;
+    default:
+      return getZoneAbbreviation(utcDate, tz) ?? `UTC${formatOffset(getUtcOffset(utcDate, tz))}`;
+  }
+}
+
+const epoch = (date) => Math.floor(date.getTime() / 1000);
+
+/**
+ * Fill in a user template. Placeholders:
+ * - `{start:PATTERN}` / `{end:PATTERN}` — see formatPattern; `{end}` is
+ *   empty without a range
+ * - `{tz}`, `{tz:short}` (BST), `{tz:long}` (British Summer Time),
+ *   `{tz:offset}` (UTC+01:00), `{tz:id}` (Europe/London)
+ * - `{date}`, `{time}` — as the dialog shows them
+ * - `{epoch}`, `{iso}`, `{original}` (the text as written), `{from}` (source zone)
+ *
+ * Unknown placeholders are left as written.
+ *
+ * @param {string} template
+ * @param {CopyItem} item
+ * @returns {string}
+ */
+export function fillTemplate(template, { original, from, to, conv }) {
+  return template.replace(/\{(\w+)(?::([^}]*))?\}/g, (placeholder, name, arg) => {
+    switch (name) {
+      case "start":
+        return formatPattern(conv.startUTC, to, arg ?? "YYYY-MM-DD HH:mm");
+      case "end":
+        return conv.endUTC ? formatPattern(conv.endUTC, to, arg ?? "YYYY-MM-DD HH:mm") : "";
+      case "tz":
+        return arg === "long" ? conv.displayTZ : zoneName(conv.startUTC, to, arg);
+      case "date":
+        return conv.displayDate;
+      case "time":
+        return conv.displayTime;
+      case "epoch":
+        return String(epoch(conv.startUTC));
+      case "iso":
+        return isoString(conv.startUTC, to);
+      case "original":
+        return original;
+      case "from":
+        return zoneLabel(from);
+      default:
+        return placeholder;
+    }
+  });
+}
+
+/**
+ * @typedef {object} CopyItem
+ * @property {string} original - The matched text as written
+ * @property {string} from     - Zone it was converted from
+ * @property {string} to       - Zone it was converted to
+ * @property {object} conv     - Result of convertParsed
+ */
+
+/**
+ * Copy text for one converted time.
+ *
+ * @param {string} format  - A COPY_FORMATS id
+ * @param {CopyItem} item
+ * @param {string} [template] - For the "custom" format
+ * @returns {string}
+ */
+export function formatCopyItem(format, item, template = DEFAULT_SETTINGS.copyTemplate) {
+  const { original, from, to, conv } = item;
+  const { startUTC, endUTC, displayDate, displayTime, displayTZ } = conv;
+  const plain = `${displayDate}, ${displayTime} ${displayTZ}`;
+
+  switch (format) {
+    case "iso":
+      return endUTC ? `${isoString(startUTC, to)}/${isoString(endUTC, to)}` : isoString(startUTC, to);
+    case "epoch":
+      return endUTC ? `${epoch(startUTC)}-${epoch(endUTC)}` : String(epoch(startUTC));
+    case "discord":
+      // Discord renders these in each reader's own zone
+      return endUTC
+        ? `<t:${epoch(startUTC)}:F> – <t:${epoch(endUTC)}:t>`
+        : `<t:${epoch(startUTC)}:F>`;
+    case "slack": {
+      // Slack does too; the text after | is shown where it can't
+      const start = `<!date^${epoch(startUTC)}^{date_long_pretty} {time}|${displayDate}, ${formatPattern(startUTC, to, "h:mm A")} ${displayTZ}>`;
+      return endUTC
+        ? `${start} – <!date^${epoch(endUTC)}^{time}|${formatPattern(endUTC, to, "h:mm A")}>`
+        : start;
+    }
+    case "markdown":
+      return `**${displayDate}, ${displayTime}** (${displayTZ})`;
+    case "original":
+      return `${original} (${zoneLabel(from)}) → ${plain}`;
+    case "custom":
+      return fillTemplate(template, item);
+    default:
+      return `${displayDate}\n${displayTime} ${displayTZ}`;
+  }
+}
+
+/**
+ * Copy text for every converted time, one per line, or separated by a
+ * blank line for the two-line plain format.
+ *
+ * @param {string} format
+ * @param {CopyItem[]} items
+ * @param {string} [template]
+ * @returns {string}
+ */
+export function formatCopyText(format, items, template) {
+  const known = COPY_FORMATS.some((f) => f.id === format) ? format : "plain";
+  const separator = known === "plain" ? "\n\n" : "\n";
+  return items.map((item) => formatCopyItem(known, item, template)).join(separator);
+}
@@ -0,0 +1,78 @@
+/**
+ * Durations in event text ("for 90 minutes", "(2h)", "a 2-hour workshop",
+ * "lasts 3 hours"), which chrono doesn't read, so a start time with one can
+ * still get an end.
+ */
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+
+const NUMBER = String.raw`(?:\d+(?:\.\d+)?|${Object.keys(NUMBER_WORDS).join("|")})`;
+const HOURS = String.raw`(?:hours?|hrs?|h)`;
+const MINUTES = String.raw`(?:minutes?|mins?|m)`;
+const HALF = String.raw`\s+and\s+a\s+half`;
+
+// "2 hours", "1h 30m", "1h30", "an hour and a half", "45 min", "half an hour"
+const AMOUNT = String.raw`(?:half\s+an?\s+hour|${NUMBER}(?:${HALF})?\s*${HOURS}(?:\s*(?:and\s+)?\d{1,2}\s*${MINUTES}?)?(?:${HALF})?|${NUMBER}\s*${MINUTES})(?![a-z])`;
+const ABOUT = String.raw`(?:about\s+|around\s+|roughly\s+|approx(?:imately|\.)?\s+)?`;
+
+// Where a duration is about the event rather than, say, "2 hours ago"
+const PATTERNS = [
+  String.raw`\bfor\s+${ABOUT}(${AMOUNT})`,
+  String.raw`\(\s*${ABOUT}(${AMOUNT})\s*\)`,
+  String.raw`\b(?:lasts?|lasting|runs?|running|takes?|duration:?|length:?)\s+${ABOUT}(${AMOUNT})`,
+  // "90-minute", "two-hour": only hyphenated, as an adjective
+  String.raw`\b(${NUMBER}-(?:hours?|hr|minutes?|min))\b`,
+];
+
+const AMOUNT_PARTS = new RegExp(
+  String.raw`^(${NUMBER})(${HALF})?[\s-]*(${HOURS}|${MINUTES})(?:\s*(?:and\s+)?(\d{1,2})\s*${MINUTES}?)?(${HALF})?`,
+  "i"
+);
+
+/**
+ * Minutes in a duration as written: "1h 30m" → 90, "an hour and a half"
+ * → 90, "45-minute" → 45. Null if it isn't one.
+ *
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function durationMinutes(text) {
+  const lower = text.toLowerCase().trim();
+  if (/^half\s+an?\s+hour$/.test(lower)) return 30;
+
+  const m = lower.match(AMOUNT_PARTS);
+  if (!m) return null;
+
+  const [, amount, half, unit, extraMinutes, trailingHalf] = m;
+  const value = NUMBER_WORDS[amount] ?? parseFloat(amount);
+  if (/^m/.test(unit)) return Math.round(value);
+
+  const halves = half || trailingHalf ? 30 : 0;
+  return Math.round(value * 60 + halves + Number(extraMinutes ?? 0));
+}
+
+/**
+ * Every duration in `text` worth treating as an event's length, in text
+ * order. One that rounds to 0 minutes ("for 0.1 minutes") is still listed,
+ * so it isn't read as a time, but gives nothing an end.
+ *
+ * @param {string} text
+ * @returns {Array<{ index: number, end: number, text: string, minutes: number }>}
+ */
+export function detectDurations(text) {
+  const found = [];
+  for (const pattern of PATTERNS) {
+    for (const m of text.matchAll(new RegExp(pattern, "gi"))) {
+      const minutes = durationMinutes(m[1]);
+      if (minutes === null) continue;
+      found.push({ index: m.index, end: m.index + m[0].length, text: m[0].trim(), minutes });
+    }
+  }
+
+  // "for (2h)" would match twice; keep the first of overlapping ones
+  found.sort((a, b) => a.index - b.index);
+  return found.filter((d, i) => i === 0 || d.index >= found[i - 1].end);
+}
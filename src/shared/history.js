@@ -0,0 +1,119 @@
+/**
+ * Conversion history, kept in chrome.storage.local: it can grow past the
+ * sync quota and is about this browser's pages anyway.
+ */
+const HISTORY_KEY = "history";
+
+// Oldest entries are dropped past this many, whatever their age
+export const MAX_HISTORY_ENTRIES = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id
+ * @property {number} savedAt          - Epoch ms of the last save
+ * @property {string} text             - The selected text
+ * @property {string} url              - Page it was selected on
+ * @property {string} title            - That page's title
+ * @property {string|null} detectedTZ  - Zone detected in the text, if any
+ * @property {string} from             - Source zone the dialog ended on
+ * @property {string[]} targets        - "To" zone first, then the extra targets
+ * @property {string} referenceDate   - ISO date relative dates were read
+ *   against: the page's date, or when the dialog opened
+ * @property {Array<{ text: string, start: string, end: string|null }>} times
+ *   - Each converted time, as ISO UTC instants
+ */
+
+/**
+ * All saved conversions, newest first.
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function loadHistory() {
+  const { [HISTORY_KEY]: entries = [] } = await chrome.storage.local.get(HISTORY_KEY);
+  return entries;
+}
+
+/**
+ * Save `entry`, replacing an earlier save with the same id, and drop
+ * whatever `keepDays` no longer covers. Nothing is saved when `keepDays`
+ * is 0.
+ *
+ * @param {HistoryEntry} entry
+ * @param {number} keepDays - See DEFAULT_SETTINGS.historyDays
+ * @returns {Promise<void>}
+ */
+export async function saveHistoryEntry(entry, keepDays) {
+  if (keepDays <= 0) return;
+
+  const entries = await loadHistory();
+  const rest = entries.filter((e) => e.id !== entry.id);
+  await chrome.storage.local.set({
+    [HISTORY_KEY]: pruneHistory([entry, ...rest], keepDays, new Date(entry.savedAt)),
+  });
+}
+
+/**
+ * Drop entries older than `keepDays` before `now`, and any past
+ * MAX_HISTORY_ENTRIES. 0 keeps nothing.
+ *
+ * @param {HistoryEntry[]} entries - Newest first
+ * @param {number} keepDays
+ * @param {Date} [now]
+ * @returns {HistoryEntry[]}
+ */
+export function pruneHistory(entries, keepDays, now = new Date()) {
+  const cutoff = now.getTime() - keepDays * DAY_MS;
+  return entries.filter((e) => e.savedAt > cutoff).slice(0, MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Apply a changed retention setting to what's already stored.
+ * @param {number} keepDays
+ * @returns {Promise<void>}
+ */
+export async function applyHistoryRetention(keepDays) {
+  const entries = await loadHistory();
+  await chrome.storage.local.set({ [HISTORY_KEY]: pruneHistory(entries, keepDays) });
+}
+
+/**
+ * Forget every saved conversion.
+ * @returns {Promise<void>}
+ */
+export function clearHistory() {
+  return chrome.storage.local.remove(HISTORY_KEY);
+}
+
+/**
+ * Entries matching every word of `query` in their text, page title, URL or
+ * zones, case-insensitively: "standup berlin" finds a standup converted to
+ * Europe/Berlin. An empty query matches everything.
+ *
+ * @param {HistoryEntry[]} entries
+ * @param {string} query
+ * @returns {HistoryEntry[]}
+ */
+export function searchHistory(entries, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return entries;
+
+  return entries.filter((entry) => {
+    const haystack = [entry.text, entry.title, entry.url, entry.from, ...entry.targets]
+      .filter(Boolean)
+      .join("\n")
+      .toLowerCase()
+      .replace(/_/g, " ");
+    return words.every((word) => haystack.includes(word));
+  });
+}
+
+/**
+ * History as a JSON file's contents, for the export button.
+ * @param {HistoryEntry[]} entries
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function exportHistory(entries, now = new Date()) {
+  return JSON.stringify({ exportedAt: now.toISOString(), entries }, null, 2);
+}
@@ -1,16 +1,142 @@
 import * as chrono from "chrono-node";
+import { detectTimezones, fixedOffsetMinutes, seasonalName } from "../content/timezone-data.js";
+import { completeRecurrence, detectRecurrences, recursOn } from "./recurrence.js";
+import { detectDurations } from "./duration.js";
+
+// chrono's parser for each language it ships, by ISO 639-1 code
+const CHRONO_PARSERS = {
+  en: chrono.en,
+  de: chrono.de,
+  es: chrono.es,
+  fr: chrono.fr,
+  it: chrono.it,
+  ja: chrono.ja,
+  nl: chrono.nl,
+  pt: chrono.pt,
+  ru: chrono.ru,
+  sv: chrono.sv,
+  uk: chrono.uk,
+  zh: chrono.zh,
+};
+
+/**
+ * Languages to parse text in, most likely first: the page's own language,
+ * then the browser's, then English. Tags chrono has no parser for are
+ * dropped.
+ *
+ * @param {string} [pageLang] - e.g. document.documentElement.lang
+ * @returns {string[]} ISO 639-1 codes
+ */
+export function parserLanguages(pageLang) {
+  const browser = globalThis.navigator?.languages ?? [Intl.DateTimeFormat().resolvedOptions().locale];
+  const codes = [pageLang, ...browser, "en"].map((tag) => {
+    try {
+      return tag ? new Intl.Locale(tag).language : null;
+    } catch {
+      return null;
+    }
+  });
+  return [...new Set(codes)].filter((code) => code in CHRONO_PARSERS);
+}
+
+/**
+ * Run chrono in each of `languages` and keep the results that cover the
+ * most text, so "dinsdag om 15:00" beats English's bare "15:00". Ties go
+ * to the earlier language. With `anyLanguage`, if none of them finds
+ * anything, the remaining languages get a try, so a German time still
+ * parses on an English page; that runs every parser on text with no date
+ * at all, so it's for a selection, not for every text node on a page.
+ */
+function parseInLanguages(text, ref, languages, forwardDate, anyLanguage) {
+  const attempt = (codes) => {
+    let best = [];
+    let bestLength = 0;
+    for (const code of codes) {
+      const results = CHRONO_PARSERS[code].parse(text, ref, { forwardDate });
+      const length = results.reduce((sum, r) => sum + r.text.length, 0);
+      if (length > bestLength) {
+        best = results;
+        bestLength = length;
+      }
+    }
+    return best;
+  };
+
+  const results = attempt(languages);
+  if (results.length > 0 || !anyLanguage) return results;
+  return attempt(Object.keys(CHRONO_PARSERS).filter((code) => !languages.includes(code)));
+}
+
+/**
+ * Apply a global regex replacement to a tracked string, keeping `map[i]`
+ * pointing at the index in the original text that character `i` came from.
+ * Inserted characters map to the start of the text they replaced.
+ */
+function replaceTracked({ text, map }, pattern, replacement) {
+  let out = "";
+  const outMap = [];
+  let last = 0;
+
+  for (const m of text.matchAll(pattern)) {
+    out += text.slice(last, m.index) + replacement;
+    outMap.push(...map.slice(last, m.index));
+    for (let i = 0; i < replacement.length; i++) outMap.push(map[m.index]);
+    last = m.index + m[0].length;
+  }
+
+  out += text.slice(last);
+  outMap.push(...map.slice(last));
+  return { text: out, map: outMap };
+}
 
 /**
  * Replace non-standard separators that chrono-node can't bridge
  * (pipe, em-dash, bullet) with a comma so the full date+time expression
  * is parsed as one unit. En-dash is left alone — chrono uses it for ranges.
+ *
+ * Returns the normalized text together with an index map back into the
+ * original, so match spans can be reported against what the user selected.
+ *
+ * @param {string} text
+ * @returns {{ text: string, map: number[] }}
  */
 function normalizeForChrono(text) {
-  return text
-    .replace(/[|—•]/g, ", ")
-    .replace(/,\s*,/g, ",")
-    .replace(/\s{2,}/g, " ")
-    .trim();
+  let tracked = { text, map: Array.from(text, (_, i) => i) };
+  tracked = replaceTracked(tracked, /[|—•]/g, ", ");
+  tracked = replaceTracked(tracked, /,\s*,/g, ",");
+  tracked = replaceTracked(tracked, /\s{2,}/g, " ");
+  tracked = replaceTracked(tracked, /^\s+|\s+$/g, "");
+  return tracked;
+}
+
+/**
+ * Pick the zone mention closest to a match span. A zone inside the span wins
+ * outright; otherwise the smallest character gap wins, and on a tie a zone
+ * that follows the time ("9am ET") beats one that precedes it.
+ *
+ * @param {Array<{ text: string, index: number }>} zones - From detectTimezones
+ * @param {number} index    - Match start in the original text
+ * @param {number} endIndex - Match end (exclusive)
+ * @returns {object|null} The chosen zone entry
+ */
+function closestZone(zones, index, endIndex) {
+  let best = null;
+  let bestGap = Infinity;
+
+  for (const zone of zones) {
+    const zoneEnd = zone.index + zone.text.length;
+    let gap;
+    if (zone.index >= index && zoneEnd <= endIndex) gap = 0;
+    else if (zone.index >= endIndex) gap = zone.index - endIndex;
+    else gap = Math.max(0, index - zoneEnd) + 0.5;
+
+    if (gap < bestGap) {
+      best = zone;
+      bestGap = gap;
+    }
+  }
+
+  return best;
 }
 
 /**
@@ -20,6 +146,11 @@ function normalizeForChrono(text) {
  * IMPORTANT: chrono returns `get('hour')` in 12-hour format when AM/PM is
  * present. We must apply `meridiem` ourselves to get the 24-hour value.
  * Falls back to sensible defaults (today's date, noon) for missing parts.
+ *
+ * The result is a "floating" wall clock: the components are stored in the
+ * Date's UTC fields (read them with getUTCHours() etc.), so times that don't
+ * exist in the machine's own zone, like 2:30 AM on its spring-forward day,
+ * survive intact.
  */
 function componentsToWallClock(components, ref) {
   const now = ref ?? new Date();
@@ -35,40 +166,155 @@ function componentsToWallClock(components, ref) {
   if (meridiem === 1 && hour < 12) hour += 12;  // e.g. 6 PM → 18
   if (meridiem === 0 && hour === 12) hour = 0;   // 12 AM (midnight) → 0
 
-  return new Date(year, month, day, hour, minute, second);
+  return new Date(Date.UTC(year, month, day, hour, minute, second));
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * chrono-node parses text as wall-clock values in the *local* timezone.
+ * chrono-node parses text as wall-clock values with no timezone attached.
  * This function takes those wall-clock components (year, month, day, hour,
- * minute, second) and reinterprets them as being in `fromTZ`, returning
- * the true UTC instant.
+ * minute, second) and reinterprets them as being in `tz`, returning the
+ * true UTC instant along with how cleanly that worked out.
  *
- * Strategy: use Intl.DateTimeFormat to find the UTC offset that applies
- * in `fromTZ` at approximately the right moment, then adjust.
+ * Strategy: take the offsets `tz` uses a day either side of the wall-clock
+ * time; each offset that maps back onto the same wall clock is a valid
+ * reading of it. Around a DST change that gives:
+ * - one reading  → "ok"
+ * - two readings → "ambiguous": the time occurs twice (clocks fall back);
+ *   `disambiguation` picks the earlier or later one
+ * - no reading   → "nonexistent": the time is skipped (clocks spring
+ *   forward); it's pushed forward by the size of the gap, as calendars do
  *
- * @param {Date} parsedDate  - Wall-clock Date (local-time components only)
- * @param {string} fromTZ    - IANA timezone string (e.g. "America/New_York")
- * @returns {Date}           - The true UTC instant
+ * Fixed-offset zones ("UTC+05:30") skip the lookup and subtract their
+ * offset directly.
+ *
+ * @param {Date} parsedDate  - Floating wall-clock Date (see componentsToWallClock)
+ * @param {string} tz        - IANA timezone string (e.g. "America/New_York")
+ *                             or fixed-offset zone id (e.g. "UTC+05:30")
+ * @param {"earlier"|"later"} [disambiguation] - Which reading of an ambiguous time
+ * @returns {{ utc: Date, status: "ok"|"ambiguous"|"nonexistent", candidates: Date[] }}
+ *   `candidates` holds every valid reading, earlier first
+ */
+export function resolveWallClock(parsedDate, tz, disambiguation = "earlier") {
+  // The wall-clock components, read as if they were UTC (whole seconds)
+  const wall = parsedDate.getTime() - parsedDate.getUTCMilliseconds();
+
+  // Fixed-offset zones: the offset never changes, and Intl can't look it up
+  const fixed = fixedOffsetMinutes(tz);
+  if (fixed !== null) {
+    const utc = new Date(wall - fixed * 60 * 1000);
+    return { utc, status: "ok", candidates: [utc] };
+  }
+
+  const before = getUtcOffset(new Date(wall - DAY_MS), tz);
+  const after = getUtcOffset(new Date(wall + DAY_MS), tz);
+
+  // True UTC = wall-clock - offset, if that instant really shows this wall clock
+  const candidates = [...new Set([before, after])]
+    .map((offset) => new Date(wall - offset * 60 * 1000))
+    .filter((utc) => utc.getTime() + getUtcOffset(utc, tz) * 60 * 1000 === wall)
+    .sort((x, y) => x - y);
+
+  if (candidates.length === 1) {
+    return { utc: candidates[0], status: "ok", candidates };
+  }
+
+  if (candidates.length > 1) {
+    const utc = disambiguation === "later" ? candidates[candidates.length - 1] : candidates[0];
+    return { utc, status: "ambiguous", candidates };
+  }
+
+  // Skipped by the transition: read it with the offset from before the jump
+  return { utc: new Date(wall - before * 60 * 1000), status: "nonexistent", candidates };
+}
+
+/**
+ * When the text names a DST-specific zone ("1:30 AM EDT"), it settles which
+ * reading of an ambiguous time was meant. Compares `name` with the short and
+ * long zone names each candidate instant has in `tz`.
+ *
+ * @param {string} name       - Zone text as written, e.g. "EDT"
+ * @param {string} tz
+ * @param {Date[]} candidates - From resolveWallClock, earlier first
+ * @returns {"earlier"|"later"|null} null if the name doesn't tell them apart
+ */
+export function disambiguateByName(name, tz, candidates) {
+  if (candidates.length < 2) return null;
+
+  const wanted = name.toUpperCase();
+  const names = candidates.map((utc) =>
+    ["short", "long"].map((style) =>
+      new Intl.DateTimeFormat("en-US", { timeZone: tz, timeZoneName: style })
+        .formatToParts(utc)
+        .find((p) => p.type === "timeZoneName")?.value.toUpperCase()
+    ).concat(getZoneAbbreviation(utc, tz)?.toUpperCase())
+  );
+
+  const hits = names.map((list) => list.includes(wanted));
+  if (hits[0] === hits[1]) return null;
+  return hits[0] ? "earlier" : "later";
+}
+
+/**
+ * Check a season-specific zone name against the date it's used on: "EST"
+ * for a July date in New York is probably a slip for "EDT". `tz` is the
+ * IANA zone the name belongs to, even when strict mode converts with the
+ * name's fixed offset instead.
+ *
+ * @param {{ text: string, key: string|null }} zone - Zone mention, from detectTimezones
+ * @param {string} tz
+ * @param {Date} wallClock - Floating wall-clock Date the zone applies to
+ * @returns {{ written: string, expected: string, season: "summer"|"winter" }|null}
+ *   null when the name fits the date or isn't season-specific
  */
-function wallClockToUTC(parsedDate, fromTZ) {
-  // Extract the wall-clock components from the date
-  const y = parsedDate.getFullYear();
-  const mo = parsedDate.getMonth() + 1;
-  const d = parsedDate.getDate();
-  const h = parsedDate.getHours();
-  const mi = parsedDate.getMinutes();
-  const s = parsedDate.getSeconds();
+export function seasonMismatch(zone, tz, wallClock) {
+  const season = zone.key ? seasonalName(zone.key, tz) : null;
+  if (!season) return null;
 
-  // Build an ISO string that we'll parse as UTC to get a first estimate
-  const isoStr = `${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}T${String(h).padStart(2, "0")}:${String(mi).padStart(2, "0")}:${String(s).padStart(2, "0")}Z`;
-  const utcEstimate = new Date(isoStr);
+  const { utc } = resolveWallClock(wallClock, tz);
+  if (getUtcOffset(utc, tz) === season.offset) return null;
 
-  // Get the offset (in minutes) that fromTZ applies at this estimated UTC moment
-  const offset = getUtcOffset(utcEstimate, fromTZ);
+  return {
+    written: zone.text,
+    expected: season.counterpart,
+    season: season.daylight ? "winter" : "summer",
+  };
+}
 
-  // True UTC = wall-clock - offset
-  return new Date(utcEstimate.getTime() - offset * 60 * 1000);
+/**
+ * Reinterpret wall-clock components as being in `fromTZ` and return the
+ * UTC instant. See resolveWallClock for how DST transitions are handled.
+ *
+ * @param {Date} parsedDate  - Floating wall-clock Date (see componentsToWallClock)
+ * @param {string} fromTZ    - IANA timezone string or fixed-offset zone id
+ * @param {"earlier"|"later"} [disambiguation]
+ * @returns {Date}           - The true UTC instant
+ */
+export function wallClockToUTC(parsedDate, fromTZ, disambiguation) {
+  return resolveWallClock(parsedDate, fromTZ, disambiguation).utc;
+}
+
+// Building a DateTimeFormat costs far more than using one, and offsets are
+// looked up hundreds of times for a recurring time's year of dates
+const OFFSET_FORMATTERS = new Map();
+
+function offsetFormatter(tz) {
+  let fmt = OFFSET_FORMATTERS.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hour12: false,
+    });
+    OFFSET_FORMATTERS.set(tz, fmt);
+  }
+  return fmt;
 }
 
 /**
@@ -76,23 +322,15 @@ function wallClockToUTC(parsedDate, fromTZ) {
  * Positive means ahead of UTC (e.g. UTC+5 → 300), negative means behind (e.g. UTC-5 → -300).
  *
  * @param {Date} utcDate
- * @param {string} tz - IANA timezone string
+ * @param {string} tz - IANA timezone string or fixed-offset zone id
  * @returns {number} offset in minutes
  */
-function getUtcOffset(utcDate, tz) {
-  // Format the date in the target timezone and in UTC, then diff
-  const fmt = new Intl.DateTimeFormat("en-US", {
-    timeZone: tz,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false,
-  });
+export function getUtcOffset(utcDate, tz) {
+  const fixed = fixedOffsetMinutes(tz);
+  if (fixed !== null) return fixed;
 
-  const parts = fmt.formatToParts(utcDate);
+  // Format the date in the target timezone and in UTC, then diff
+  const parts = offsetFormatter(tz).formatToParts(utcDate);
   const get = (type) => parseInt(parts.find((p) => p.type === type)?.value ?? "0", 10);
 
   let h = get("hour");
@@ -108,7 +346,66 @@ function getUtcOffset(utcDate, tz) {
     get("second")
   );
 
-  return (localInTz - utcDate.getTime()) / 60000;
+  // Intl drops milliseconds, so drop them here too before diffing
+  return (localInTz - (utcDate.getTime() - utcDate.getUTCMilliseconds())) / 60000;
+}
+
+/**
+ * How converted times are written. Both default to the browser's own
+ * conventions (Intl's default locale).
+ *
+ * @typedef {object} OutputFormat
+ * @property {string} [locale]      - BCP 47 tag; sets month names, date order and the default clock
+ * @property {"h12"|"h23"} [hourCycle] - Force a 12- or 24-hour clock
+ */
+
+/**
+ * Intl.DateTimeFormat for `tz`, also accepting fixed-offset zone ids
+ * ("UTC+05:30") that Intl rejects. Those format the shifted instant as UTC
+ * and report the zone id itself as the zone name.
+ *
+ * @param {string} tz
+ * @param {Intl.DateTimeFormatOptions} options
+ * @param {OutputFormat} [format]
+ * @returns {{ format: (date: Date) => string, formatToParts: (date: Date) => Intl.DateTimeFormatPart[] }}
+ */
+function zoneFormatter(tz, options, { locale, hourCycle } = {}) {
+  const localized = { ...options, hourCycle: options.hour ? hourCycle : undefined };
+
+  const fixed = fixedOffsetMinutes(tz);
+  if (fixed === null) {
+    return new Intl.DateTimeFormat(locale, { ...localized, timeZone: tz });
+  }
+
+  const fmt = new Intl.DateTimeFormat(locale, { ...localized, timeZone: "UTC" });
+  const shift = (date) => new Date(date.getTime() + fixed * 60 * 1000);
+  const formatToParts = (date) =>
+    fmt
+      .formatToParts(shift(date))
+      .map((p) => (p.type === "timeZoneName" ? { ...p, value: tz } : p));
+
+  return {
+    // Only reassemble from parts when there's a zone name to patch, so the
+    // output otherwise matches what Intl's own format() produces
+    format: (date) =>
+      options.timeZoneName
+        ? formatToParts(date).map((p) => p.value).join("")
+        : fmt.format(shift(date)),
+    formatToParts,
+  };
+}
+
+/**
+ * Format a floating wall-clock Date (see componentsToWallClock) as written,
+ * with no zone conversion.
+ *
+ * @param {Date} wallClock
+ * @param {Intl.DateTimeFormatOptions} options
+ * @param {OutputFormat} [format]
+ * @returns {string}
+ */
+export function formatWallClock(wallClock, options, format) {
+  return zoneFormatter("UTC", options, format).format(wallClock);
 }
 
 /**
@@ -117,13 +414,13 @@ function getUtcOffset(utcDate, tz) {
  * @param {Date} parsedDate - Wall-clock Date from chrono-node
  * @param {string} fromTZ   - Source IANA timezone
  * @param {string} toTZ     - Target IANA timezone
+ * @param {OutputFormat} [format]
  * @returns {{ date: Date, formatted: string }}
  */
-export function convertTime(parsedDate, fromTZ, toTZ) {
+export function convertTime(parsedDate, fromTZ, toTZ, format) {
   const utc = wallClockToUTC(parsedDate, fromTZ);
 
-  const formatted = new Intl.DateTimeFormat("en-US", {
-    timeZone: toTZ,
+  const formatted = zoneFormatter(toTZ, {
     weekday: undefined,
     year: "numeric",
     month: "long",
@@ -131,7 +428,7 @@ export function convertTime(parsedDate, fromTZ, toTZ) {
     hour: "numeric",
     minute: "2-digit",
     timeZoneName: "long",
-  }).format(utc);
+  }, format).format(utc);
 
   return { date: utc, formatted };
 }
@@ -141,15 +438,40 @@ export function convertTime(parsedDate, fromTZ, toTZ) {
  *
  * @param {Date} utcDate
  * @param {string} toTZ
+ * @param {OutputFormat} [format]
  * @returns {string}
  */
-export function formatTime(utcDate, toTZ) {
-  return new Intl.DateTimeFormat("en-US", {
-    timeZone: toTZ,
+export function formatTime(utcDate, toTZ, format) {
+  return zoneFormatter(toTZ, {
     hour: "numeric",
     minute: "2-digit",
     timeZoneName: "short",
-  }).format(utcDate);
+  }, format).format(utcDate);
+}
+
+// English locales whose short zone names are real abbreviations for their
+// own region ("BST" in en-GB, "IST" in en-IN) rather than "GMT+1".
+const ABBREVIATION_LOCALES = ["en-US", "en-GB", "en-IN", "en-AU", "en-NZ", "en-CA", "en-IE"];
+
+/**
+ * Short abbreviation for a zone at a given moment ("PDT", "CEST", "IST"),
+ * or null when no locale has one and Intl would only say "GMT+9".
+ *
+ * @param {Date} utcDate
+ * @param {string} tz
+ * @returns {string|null}
+ */
+export function getZoneAbbreviation(utcDate, tz) {
+  if (fixedOffsetMinutes(tz) !== null) return null;
+
+  for (const locale of ABBREVIATION_LOCALES) {
+    const name = new Intl.DateTimeFormat(locale, { timeZone: tz, timeZoneName: "short" })
+      .formatToParts(utcDate)
+      .find((p) => p.type === "timeZoneName")?.value;
+    if (name && !/^(GMT|UTC)[+\-\u2212]/.test(name)) return name;
+  }
+
+  return null;
 }
 
 /**
@@ -157,92 +479,468 @@ export function formatTime(utcDate, toTZ) {
  *
  * @param {Date} utcDate
  * @param {string} toTZ
+ * @param {OutputFormat} [format]
  * @returns {string}
  */
-export function formatDateTime(utcDate, toTZ) {
-  return new Intl.DateTimeFormat("en-US", {
-    timeZone: toTZ,
+export function formatDateTime(utcDate, toTZ, format) {
+  return zoneFormatter(toTZ, {
     month: "long",
     day: "numeric",
     hour: "numeric",
     minute: "2-digit",
     timeZoneName: "long",
-  }).format(utcDate);
+  }, format).format(utcDate);
 }
 
 /**
- * Parse selected text using chrono-node.
- * Returns null if no date/time found.
+ * Parse selected text using chrono-node, in the languages the reader most
+ * likely wrote it in (see parseInLanguages).
+ * Returns one entry per date/time chrono finds, in text order, or null if
+ * no date/time found.
  *
  * Normalizes the text first (separators, TZ stripping) so chrono-node
  * sees a clean expression and doesn't pre-apply timezone offsets.
  * Uses raw parsed components (not .date()) to preserve wall-clock values.
  *
+ * Each match carries its span in the original `text` and the timezone
+ * mention closest to it (see closestZone), so "10am PT / 1pm ET" ties each
+ * time to its own zone. `zone` is the detectTimezones entry that was picked.
+ * `dateGiven` says how much of the date the text pinned down: "full"
+ * ("July 15", "tomorrow"), "weekday" ("Thursday 3pm") or "none" ("3pm"),
+ * for nextOccurrence. `recurrence` is the rule the text repeats it by
+ * ("every Tuesday", "weekly on Mon/Wed"), see detectRecurrences, or null;
+ * weekdays listed in a rule ("Mon" in "Mon/Wed 9am") don't get matches of
+ * their own. A time without an end gets one from a duration next to it
+ * ("3pm ET for 90 minutes", "a 2-hour workshop at 3pm"), kept as
+ * `duration`, see detectDurations; otherwise `duration` is null.
+ * `explanation` says why it reads that way, see explainMatch.
+ *
  * @param {string} text
- * @returns {{ start: Date, end: Date|null, hasRange: boolean } | null}
+ * @param {object} [opts]
+ * @param {string} [opts.locale]                      - Ranks ambiguous abbreviations
+ * @param {Object<string, string>} [opts.preferences] - Abbreviation → preferred IANA zone
+ * @param {boolean} [opts.strict]                     - Strict abbreviation mode, see detectTimezones
+ * @param {string[]} [opts.languages]                 - Languages to parse in, see parserLanguages
+ * @param {boolean} [opts.anyLanguage]                - Try every other language when those
+ *   find nothing, see parseInLanguages
+ * @param {Date} [opts.referenceDate]                 - What "Monday" or a yearless date is read
+ *   against; defaults to now
+ * @param {boolean} [opts.forwardDate]                - Read weekdays and times without a date
+ *   as the next one after the reference rather than the nearest
+ * @returns {Array<{ text: string, index: number, start: Date, end: Date|null, hasRange: boolean, timezone: string|null, zone: object|null, dateGiven: "full"|"weekday"|"none", recurrence: object|null, duration: { text: string, index: number, minutes: number }|null, explanation: object }> | null}
  */
-export function parseSelectedText(text) {
-  const ref = new Date();
+export function parseSelectedText(text, opts = {}) {
+  const ref = opts.referenceDate ?? new Date();
   const normalized = normalizeForChrono(text);
-  const results = chrono.parse(normalized, ref, { forwardDate: false });
+  const results = parseInLanguages(
+    normalized.text,
+    ref,
+    opts.languages ?? parserLanguages(),
+    opts.forwardDate ?? false,
+    opts.anyLanguage ?? false
+  );
 
   if (!results || results.length === 0) return null;
 
-  const result = results[0];
-  // Use raw component values, not .date(), to avoid double TZ adjustment
-  const start = componentsToWallClock(result.start, ref);
-  const end = result.end ? componentsToWallClock(result.end, ref) : null;
+  const zones = detectTimezones(text, opts);
+
+  const matches = results.map((result) => {
+    // Map the span back onto the original selection. chrono sometimes pulls
+    // a leading separator (", Tue Jan 7") or trailing space into the match;
+    // leave them out.
+    const lead = result.text.match(/^[\s,]*/)[0].length;
+    const trail = result.text.match(/\s*$/)[0].length;
+    const index = normalized.map[result.index + lead];
+    const endIndex = normalized.map[result.index + result.text.length - trail - 1] + 1;
+    const matchText = text.slice(index, endIndex);
+
+    // Use raw component values, not .date(), to avoid double TZ adjustment
+    const start = componentsToWallClock(result.start, ref);
+    const end = result.end ? componentsToWallClock(result.end, ref) : null;
+
+    const zone = closestZone(zones, index, endIndex);
+
+    return {
+      text: matchText,
+      index,
+      start,
+      end,
+      hasRange: end !== null,
+      timezone: zone?.timezone ?? null,
+      zone,
+      dateGiven: dateGiven(result.start),
+      recurrence: null,
+      duration: null,
+      timed: result.start.isCertain("hour"),
+      components: result.start,
+    };
+  });
+
+  const kept = attachDurations(text, attachRecurrences(text, matches));
+  if (kept.length === 0) return null;
+
+  return kept.map(({ timed, components, ...match }) => ({ ...match, explanation: explainMatch(match, components) }));
+}
+
+// Lost from a match's confidence for each thing it had to assume
+const ASSUMPTION_PENALTIES = {
+  time: 0.5,             // No hour: read as 12:00
+  meridiem: 0.2,         // "at 3": AM or PM guessed
+  date: 0.1,             // No date or weekday: today, or the page's date
+  zone: 0.1,             // No zone in the text: whatever From is set to
+  "ambiguous-zone": 0.15, // "IST", "CST": ranked, not known
+};
+
+const EXPLAINED_COMPONENTS = ["year", "month", "day", "weekday", "hour", "minute", "meridiem"];
+
+/**
+ * Why a match reads the way it does: which of its date and time components
+ * the text gave and which were filled in, what it had to assume, and
+ * where in the text each part came from.
+ *
+ * @param {object} match - A parseSelectedText match
+ * @param {object} components - chrono's parsed start
+ * @returns {{ certain: string[], implied: string[], assumptions: string[], spans: Array<{ index: number, end: number, kind: "time"|"zone"|"recurrence"|"duration" }>, zoneKey: string|null, confidence: number }}
+ *   `assumptions` are keys of ASSUMPTION_PENALTIES; `confidence` runs from
+ *   0 to 1, losing a share for each
+ */
+function explainMatch(match, components) {
+  const certain = EXPLAINED_COMPONENTS.filter((c) => components.isCertain(c));
+  const implied = ["year", "month", "day", "hour", "minute"].filter((c) => !components.isCertain(c));
+
+  // An hour up to 12 with no AM/PM is a guess, unless written "9:00" on a
+  // 24-hour clock or as "noon"
+  const hour = components.get("hour");
+  const meridiemGuessed = components.isCertain("hour") && !components.isCertain("meridiem")
+    && hour >= 1 && hour <= 12 && !/\d:\d{2}|noon|midnight/i.test(match.text);
+
+  const assumptions = [
+    !components.isCertain("hour") && "time",
+    meridiemGuessed && "meridiem",
+    match.dateGiven === "none" && "date",
+    !match.zone && "zone",
+    match.zone?.candidates?.length > 1 && "ambiguous-zone",
+  ].filter(Boolean);
 
+  const spans = [{ index: match.index, end: match.index + match.text.length, kind: "time" }];
+  if (match.zone) spans.push({ index: match.zone.index, end: match.zone.index + match.zone.text.length, kind: "zone" });
+  for (const kind of ["recurrence", "duration"]) {
+    const part = match[kind];
+    if (part) spans.push({ index: part.index, end: part.index + part.text.length, kind });
+  }
+
+  const penalty = assumptions.reduce((sum, a) => sum + ASSUMPTION_PENALTIES[a], 0);
   return {
-    start,
-    end,
-    hasRange: end !== null,
+    certain,
+    implied,
+    assumptions,
+    spans: spans.sort((a, b) => a.index - b.index),
+    zoneKey: match.zone?.key ?? null,
+    confidence: Math.round(Math.max(0, 1 - penalty) * 100) / 100,
   };
 }
 
+// Give each time without an end the duration after it, before the next
+// time, else one between it and the time before ("a 2-hour workshop at 3pm").
+// chrono reads some durations as times of their own ("for 90 minutes" as
+// 90 minutes from now); those are dropped.
+function attachDurations(text, found) {
+  const durations = detectDurations(text);
+  const taken = new Set();
+  const matches = found.filter((m) => !durations.some((d) => m.index >= d.index && m.index + m.text.length <= d.end));
+
+  matches.forEach((match, i) => {
+    if (match.end || !match.timed) return;
+
+    const matchEnd = match.index + match.text.length;
+    const nextStart = matches[i + 1]?.index ?? text.length;
+    const prevEnd = i > 0 ? matches[i - 1].index + matches[i - 1].text.length : 0;
+    const free = durations.filter((d) => !taken.has(d) && d.minutes > 0);
+    const duration = free.find((d) => d.index >= matchEnd && d.index < nextStart)
+      ?? free.findLast((d) => d.end <= match.index && d.index >= prevEnd);
+    if (!duration) return;
+
+    taken.add(duration);
+    match.duration = { text: duration.text, index: duration.index, minutes: duration.minutes };
+    match.end = new Date(match.start.getTime() + duration.minutes * 60 * 1000);
+    match.hasRange = true;
+  });
+  return matches;
+}
+
+// Move a match whose date doesn't fit its rule ("Mondays at 9am", read as
+// today) to the first day on or after it that does
+function alignToRecurrence(match) {
+  const first = new Date(Date.UTC(match.start.getUTCFullYear(), match.start.getUTCMonth(), match.start.getUTCDate()));
+  for (let days = 0; days < 366; days++) {
+    if (recursOn(match.recurrence, new Date(first.getTime() + days * DAY_MS), first)) {
+      match.start = new Date(match.start.getTime() + days * DAY_MS);
+      match.end = match.end && new Date(match.end.getTime() + days * DAY_MS);
+      return;
+    }
+  }
+}
+
+// Longest gap between a rule and its time, as in "every Tuesday, from 10am PT"
+const RECURRENCE_GAP = 24;
+
+// Give each recurrence rule in the text to the time it repeats: the first
+// one from the rule on, else the last before it ("10am PT, every Tuesday"),
+// as long as it's next to the rule and, if the text gave its date, that
+// date is one the rule repeats on. "On Sundays. Next call Friday 3pm" isn't
+// a Sunday call. Untimed weekdays inside a rule are part of it, not times of
+// their own.
+function attachRecurrences(text, matches) {
+  const listed = new Set();
+
+  for (const rule of detectRecurrences(text)) {
+    const inRule = (m) => m.index < rule.end && m.index + m.text.length > rule.index;
+    const adjacent = (m) => {
+      const gap = m.index >= rule.end ? text.slice(rule.end, m.index) : text.slice(m.index + m.text.length, rule.index);
+      return gap.length <= RECURRENCE_GAP && !/[.!?;\n]/.test(gap);
+    };
+    const fits = (m) => {
+      if (m.dateGiven === "none") return true;
+      const day = new Date(Date.UTC(m.start.getUTCFullYear(), m.start.getUTCMonth(), m.start.getUTCDate()));
+      return recursOn(completeRecurrence(rule, m.start), day, day);
+    };
+
+    const free = matches.filter((m) => !m.recurrence && !listed.has(m) && (inRule(m) || adjacent(m)) && fits(m));
+    const owner = free.find((m) => m.timed && m.index + m.text.length > rule.index)
+      ?? free.findLast((m) => m.timed)
+      ?? free.find(inRule);
+    if (!owner) continue;
+
+    owner.recurrence = { ...completeRecurrence(rule, owner.start), text: rule.text, index: rule.index };
+    alignToRecurrence(owner);
+    for (const m of matches) {
+      if (m !== owner && !m.timed && inRule(m)) listed.add(m);
+    }
+  }
+
+  return matches.filter((m) => !listed.has(m));
+}
+
+// How much of the date chrono read from the text rather than filled in
+function dateGiven(components) {
+  if (components.isCertain("day")) return "full";
+  if (components.isCertain("weekday")) return "weekday";
+  return "none";
+}
+
+/**
+ * The next time a past match happens again, for text that didn't pin down
+ * its date: "Thursday 3pm" repeats weekly and "3pm" daily, so either can
+ * mean the coming one once this one is over. A match with a recurrence
+ * rule repeats by that instead. Null for full dates without one, and for
+ * matches that aren't over yet.
+ *
+ * @param {{ start: Date, end: Date|null, dateGiven: string }} match - From parseSelectedText
+ * @param {string} fromTZ
+ * @param {Date} [now]
+ * @returns {object|null} `match` with start and end moved to the next occurrence
+ */
+export function nextOccurrence(match, fromTZ, now = new Date()) {
+  if (wallClockToUTC(match.end ?? match.start, fromTZ) > now) return null;
+
+  if (match.recurrence) {
+    const [next] = recurrenceOccurrences(match, fromTZ, { count: 1, now });
+    return next ? { ...match, start: next.start, end: next.end } : null;
+  }
+
+  const stepDays = { weekday: 7, none: 1 }[match.dateGiven];
+  if (!stepDays) return null;
+
+  // Jump to about now in whole steps, then settle the last step or two a
+  // DST change can leave it off by, so an old date costs no more than a new one
+  const shift = (wall, days) => wall && new Date(wall.getTime() + days * DAY_MS);
+  const nowWall = now.getTime() + getUtcOffset(now, fromTZ) * 60 * 1000;
+  const steps = Math.floor((nowWall - match.start.getTime()) / (stepDays * DAY_MS));
+  let days = Math.max(0, steps - 1) * stepDays;
+  do {
+    days += stepDays;
+  } while (wallClockToUTC(shift(match.start, days), fromTZ) <= now);
+
+  return { ...match, start: shift(match.start, days), end: shift(match.end, days) };
+}
+
+/**
+ * The times a recurring match happens from `now` on, within `days` days,
+ * each as a wall clock in `fromTZ` and as UTC instants. A range keeps its
+ * wall-clock length.
+ *
+ * @param {{ start: Date, end: Date|null, recurrence: object }} match - From parseSelectedText
+ * @param {string} fromTZ
+ * @param {object} [opts]
+ * @param {number} [opts.count] - Stop after this many
+ * @param {number} [opts.days]  - How far ahead to look
+ * @param {Date} [opts.now]
+ * @returns {Array<{ start: Date, end: Date|null, startUTC: Date, endUTC: Date|null }>}
+ */
+export function recurrenceOccurrences(match, fromTZ, { count = Infinity, days = 366, now = new Date() } = {}) {
+  const midnight = (wall) => new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate()));
+  const first = midnight(match.start);
+  const timeOfDay = match.start - first;
+  const length = match.end ? match.end - match.start : null;
+
+  const today = midnight(new Date(now.getTime() + getUtcOffset(now, fromTZ) * 60 * 1000));
+  const from = Math.max(first.getTime(), today.getTime());
+  const out = [];
+
+  for (let day = from; day < today.getTime() + days * DAY_MS && out.length < count; day += DAY_MS) {
+    if (!recursOn(match.recurrence, new Date(day), first)) continue;
+
+    const start = new Date(day + timeOfDay);
+    const end = length === null ? null : new Date(start.getTime() + length);
+    const startUTC = wallClockToUTC(start, fromTZ);
+    const endUTC = match.duration
+      ? new Date(startUTC.getTime() + match.duration.minutes * 60 * 1000)
+      : end && wallClockToUTC(end, fromTZ);
+    if ((endUTC ?? startUTC) > now) out.push({ start, end, startUTC, endUTC });
+  }
+  return out;
+}
+
+/**
+ * Where a recurring time lands at a different local time in `toTZ` than it
+ * usually does, because the zones change clocks on different dates (the
+ * US and Europe are three weeks apart in March) or only one changes them.
+ * "Usually" is the most common gap between the zones across `occurrences`.
+ *
+ * @param {Array<{ startUTC: Date }>} occurrences - From recurrenceOccurrences
+ * @param {string} fromTZ
+ * @param {string} toTZ
+ * @returns {Array<{ first: object, last: object, count: number, minutes: number }>}
+ *   Runs of consecutive occurrences, with how many minutes later (negative:
+ *   earlier) than usual they are in `toTZ`
+ */
+export function localTimeChanges(occurrences, fromTZ, toTZ) {
+  const gaps = occurrences.map(({ startUTC }) => getUtcOffset(startUTC, toTZ) - getUtcOffset(startUTC, fromTZ));
+
+  const tally = new Map();
+  for (const gap of gaps) tally.set(gap, (tally.get(gap) ?? 0) + 1);
+  const usual = [...tally].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+  const runs = [];
+  gaps.forEach((gap, i) => {
+    const minutes = gap - usual;
+    const last = runs.at(-1);
+    if (minutes === 0) return;
+    if (last && last.minutes === minutes && last.end === i - 1) {
+      last.last = occurrences[i];
+      last.count++;
+      last.end = i;
+    } else {
+      runs.push({ first: occurrences[i], last: occurrences[i], count: 1, minutes, end: i });
+    }
+  });
+  return runs.map(({ end, ...run }) => run);
+}
+
+/**
+ * A selection that restates one time in several zones ("10am PT / 1pm ET")
+ * should land on the same instant for each of them. Compares each match with
+ * the one before it when their source zones differ.
+ *
+ * @param {Array<{ start: Date }>} matches
+ * @param {string[]} zones - Source zone used for each match
+ * @returns {number[]} For each match, the index of the earlier match it
+ *   disagrees with, or -1
+ */
+export function findConflicts(matches, zones) {
+  return matches.map((match, i) => {
+    if (i === 0 || zones[i] === zones[i - 1]) return -1;
+
+    const a = wallClockToUTC(matches[i - 1].start, zones[i - 1]);
+    const b = wallClockToUTC(match.start, zones[i]);
+    return a.getTime() === b.getTime() ? -1 : i - 1;
+  });
+}
+
+/**
+ * A day shift as people say it: "+1 day", "\u22122 days", or "" for none.
+ *
+ * @param {number} delta - Calendar days, see convertParsed's dayDelta
+ * @returns {string}
+ */
+export function formatDayDelta(delta) {
+  if (!delta) return "";
+  const sign = delta > 0 ? "+" : "\u2212";
+  const days = Math.abs(delta);
+  return `${sign}${days} ${days === 1 ? "day" : "days"}`;
+}
+
 /**
  * Convert a parsed date range from fromTZ to toTZ and produce display strings.
  *
- * @param {{ start: Date, end: Date|null, hasRange: boolean }} parsed
+ * `startResolution` / `endResolution` come from resolveWallClock and say
+ * whether a time fell into a DST gap or overlap in `fromTZ`.
+ *
+ * `dayDelta` is how many calendar days the start moves by ("Thursday 9pm
+ * PT" in Tokyo is Friday, +1), with `sourceWeekday` / `targetWeekday` the
+ * day it falls on in each zone.
+ *
+ * An end that comes from a duration is that much real time after the
+ * start, even across a DST change.
+ *
+ * @param {{ start: Date, end: Date|null, hasRange: boolean, duration?: { minutes: number }|null }} parsed
  * @param {string} fromTZ
  * @param {string} toTZ
- * @returns {{ startUTC: Date, endUTC: Date|null, displayDate: string, displayTime: string, displayTZ: string }}
+ * @param {object} [opts] - Also an OutputFormat for the display strings
+ * @param {"earlier"|"later"} [opts.disambiguation] - Reading of times that occur twice
+ * @returns {{ startUTC: Date, endUTC: Date|null, displayDate: string, displayTime: string, displayTZ: string, sourceWeekday: string, targetWeekday: string, dayDelta: number, startResolution: object, endResolution: object|null }}
  */
-export function convertParsed(parsed, fromTZ, toTZ) {
-  const startUTC = wallClockToUTC(parsed.start, fromTZ);
-  const endUTC = parsed.end ? wallClockToUTC(parsed.end, fromTZ) : null;
+export function convertParsed(parsed, fromTZ, toTZ, { disambiguation, ...format } = {}) {
+  const startResolution = resolveWallClock(parsed.start, fromTZ, disambiguation);
+  const endResolution = parsed.end && !parsed.duration ? resolveWallClock(parsed.end, fromTZ, disambiguation) : null;
+  const startUTC = startResolution.utc;
+  const endUTC = parsed.duration
+    ? new Date(startUTC.getTime() + parsed.duration.minutes * 60 * 1000)
+    : endResolution?.utc ?? null;
 
   // Date label (use start date in toTZ)
-  const displayDate = new Intl.DateTimeFormat("en-US", {
-    timeZone: toTZ,
+  const displayDate = zoneFormatter(toTZ, {
     month: "long",
     day: "numeric",
     year: "numeric",
-  }).format(startUTC);
+  }, format).format(startUTC);
 
   // Time range
-  const startTimeFmt = new Intl.DateTimeFormat("en-US", {
-    timeZone: toTZ,
+  const startTimeFmt = zoneFormatter(toTZ, {
     hour: "numeric",
     minute: "2-digit",
-  });
-  const endTimeFmt = new Intl.DateTimeFormat("en-US", {
-    timeZone: toTZ,
+  }, format);
+  const endTimeFmt = zoneFormatter(toTZ, {
     hour: "numeric",
     minute: "2-digit",
-  });
+  }, format);
 
   const startTimeStr = startTimeFmt.format(startUTC);
   const endTimeStr = endUTC ? endTimeFmt.format(endUTC) : null;
   const displayTime = endTimeStr ? `${startTimeStr} – ${endTimeStr}` : startTimeStr;
 
   // Long timezone name
-  const displayTZ = new Intl.DateTimeFormat("en-US", {
-    timeZone: toTZ,
+  const displayTZ = zoneFormatter(toTZ, {
     timeZoneName: "long",
-  })
+  }, format)
     .formatToParts(startUTC)
     .find((p) => p.type === "timeZoneName")?.value ?? toTZ;
 
-  return { startUTC, endUTC, displayDate, displayTime, displayTZ };
+  // Calendar day of the start on each side, as days since the epoch
+  const day = (tz) => Math.floor((startUTC.getTime() + getUtcOffset(startUTC, tz) * 60 * 1000) / DAY_MS);
+  const dayDelta = day(toTZ) - day(fromTZ);
+  const weekday = (tz) => zoneFormatter(tz, { weekday: "long" }, format).format(startUTC);
+
+  return {
+    startUTC,
+    endUTC,
+    displayDate,
+    displayTime,
+    displayTZ,
+    sourceWeekday: weekday(fromTZ),
+    targetWeekday: weekday(toTZ),
+    dayDelta,
+    startResolution,
+    endResolution,
+  };
 }
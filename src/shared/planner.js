@@ -0,0 +1,77 @@
+import { getUtcOffset, wallClockToUTC } from "./parser.js";
+
+/** Working hours for zones without their own, as [start, end) local hours. */
+export const DEFAULT_WORKING_HOURS = [9, 17];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Working hours for `tz`: its own entry in `workingHours`, else the default.
+ *
+ * @param {string} tz
+ * @param {Object<string, number[]>} [workingHours] - IANA zone → [start, end]
+ * @returns {number[]}
+ */
+export function workingHoursFor(tz, workingHours = {}) {
+  return workingHours[tz] ?? DEFAULT_WORKING_HOURS;
+}
+
+// Hours like [22, 6] wrap past midnight for night shifts
+function isWorking(minutes, [start, end]) {
+  return start <= end
+    ? minutes >= start * 60 && minutes < end * 60
+    : minutes >= start * 60 || minutes < end * 60;
+}
+
+/**
+ * A 24-hour planning strip: one hourly slot per column, starting at
+ * midnight of the first time's day in `zones[0]`, and one row per zone
+ * saying what each slot is there and whether it falls in working hours.
+ * Slots that any of `times` covers are selected; a time without an end
+ * marks the hour it starts in.
+ *
+ * @param {Array<{ start: Date, end: Date|null }>} times - UTC instants, e.g. convertParsed's startUTC/endUTC
+ * @param {string[]} zones
+ * @param {Object<string, number[]>} [workingHours] - See workingHoursFor
+ * @returns {{ slots: Date[], selected: boolean[], overlap: boolean[], rows: Array<{ tz: string, hours: number[], cells: Array<{ wall: Date, dayDelta: number, working: boolean }> }> }}
+ *   `wall` is the slot's floating wall clock in that zone, `dayDelta` its
+ *   day relative to the strip's, and `overlap[i]` is true when slot i is in
+ *   working hours everywhere
+ */
+export function buildPlannerGrid(times, zones, workingHours = {}) {
+  const anchor = zones[0];
+  const first = times[0].start;
+
+  // Midnight of the first time's day in the anchor zone, as a wall clock
+  const firstWall = new Date(first.getTime() + getUtcOffset(first, anchor) * 60 * 1000);
+  const midnight = new Date(Date.UTC(firstWall.getUTCFullYear(), firstWall.getUTCMonth(), firstWall.getUTCDate()));
+  const dayStart = wallClockToUTC(midnight, anchor);
+  const anchorDay = Math.floor(midnight.getTime() / DAY_MS);
+
+  const slots = Array.from({ length: 24 }, (_, i) => new Date(dayStart.getTime() + i * HOUR_MS));
+
+  const selected = slots.map((slot) =>
+    times.some(({ start, end }) => {
+      const until = end && end > start ? end : new Date(start.getTime() + HOUR_MS);
+      return slot < until && slot.getTime() + HOUR_MS > start.getTime();
+    })
+  );
+
+  const rows = zones.map((tz) => {
+    const hours = workingHoursFor(tz, workingHours);
+    const cells = slots.map((slot) => {
+      const wall = new Date(slot.getTime() + getUtcOffset(slot, tz) * 60 * 1000);
+      return {
+        wall,
+        dayDelta: Math.floor(wall.getTime() / DAY_MS) - anchorDay,
+        working: isWorking(wall.getUTCHours() * 60 + wall.getUTCMinutes(), hours),
+      };
+    });
+    return { tz, hours, cells };
+  });
+
+  const overlap = slots.map((_, i) => rows.every((row) => row.cells[i].working));
+
+  return { slots, selected, overlap, rows };
+}
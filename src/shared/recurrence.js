@@ -0,0 +1,188 @@
+/**
+ * Recurrence in free text ("every Tuesday", "weekly on Mon/Wed", "monthly
+ * on the 15th"), which chrono doesn't read: it only sees the one date.
+ * Rules use RFC 5545 names so they map straight onto an RRULE.
+ */
+
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WORKWEEK = ["MO", "TU", "WE", "TH", "FR"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Full names (optionally plural) before abbreviations, so "Tuesdays" isn't read as "Tue"
+const WEEKDAY = String.raw`(?:(?:mon|tues|wednes|thurs|fri|satur|sun)days?|mon|tues?|weds?|thu(?:rs?)?|fri|sat|sun)\.?`;
+const WEEKDAY_SEP = String.raw`\s*(?:,\s*(?:and\s+)?|\/|&|\+|\band\b)\s*`;
+const WEEKDAY_LIST = `${WEEKDAY}(?:${WEEKDAY_SEP}${WEEKDAY})*`;
+const PLURAL_WEEKDAY = String.raw`(?:mon|tues|wednes|thurs|fri|satur|sun)days`;
+const ORDINAL_DAY = String.raw`(\d{1,2})(?:st|nd|rd|th)?`;
+const ON_DAYS = String.raw`(?:\s+on\s+(?:the\s+)?(?:(${WEEKDAY_LIST})|${ORDINAL_DAY}\b))?`;
+
+// Each pattern's groups are read by the function next to it
+const PATTERNS = [
+  // "every weekday", "weekdays", "Monday to Friday", "Mon-Fri"
+  [
+    String.raw`\b(?:(?:every|each)\s+weekday|(?:on\s+)?weekdays|mon(?:day)?\s*(?:to|through|thru|-|–)\s*fri(?:day)?)\b`,
+    () => ({ freq: "WEEKLY", interval: 1, byDay: WORKWEEK }),
+  ],
+  // "every Tuesday", "every other Thu", "each Mon & Wed"
+  [
+    String.raw`\b(?:every|each)\s+(?:(other|second)\s+)?(${WEEKDAY_LIST})(?![a-z])`,
+    (other, days) => ({ freq: "WEEKLY", interval: other ? 2 : 1, byDay: weekdayCodes(days) }),
+  ],
+  // "every day", "every 2 weeks on Friday", "every month on the 3rd"
+  [
+    String.raw`\b(?:every|each)\s+(?:(other|second)\s+|(\d+)\s+)?(day|week|month)s?\b${ON_DAYS}`,
+    (other, n, unit, days, monthDay) => ({
+      freq: { day: "DAILY", week: "WEEKLY", month: "MONTHLY" }[unit.toLowerCase()],
+      interval: other ? 2 : Number(n ?? 1),
+      byDay: days ? weekdayCodes(days) : null,
+      byMonthDay: monthDay ? Number(monthDay) : null,
+    }),
+  ],
+  // "daily", "weekly on Mon/Wed", "biweekly on Friday", "monthly on the 15th"
+  [
+    String.raw`\b(daily|weekly|bi-?weekly|fortnightly|monthly)\b${ON_DAYS}`,
+    (word, days, monthDay) => {
+      const lower = word.toLowerCase();
+      return {
+        freq: { daily: "DAILY", monthly: "MONTHLY" }[lower] ?? "WEEKLY",
+        interval: /^(bi|fort)/.test(lower) ? 2 : 1,
+        byDay: days ? weekdayCodes(days) : null,
+        byMonthDay: monthDay ? Number(monthDay) : null,
+      };
+    },
+  ],
+  // "the 1st of every month"
+  [
+    String.raw`\bthe\s+${ORDINAL_DAY}\s+of\s+(?:every|each|the)\s+month\b`,
+    (monthDay) => ({ freq: "MONTHLY", interval: 1, byMonthDay: Number(monthDay) }),
+  ],
+  // "Mondays and Wednesdays", "on Tuesdays"
+  [
+    String.raw`\b(?:on\s+)?(${PLURAL_WEEKDAY}(?:${WEEKDAY_SEP}${WEEKDAY})*)(?![a-z])`,
+    (days) => ({ freq: "WEEKLY", interval: 1, byDay: weekdayCodes(days) }),
+  ],
+];
+
+const WEEKDAY_REGEX = new RegExp(WEEKDAY, "gi");
+
+// "Tue & Thu" → ["TU", "TH"], in week order
+function weekdayCodes(list) {
+  // Every spelling starts with its code: "Thurs" → TH, "sun" → SU
+  const codes = new Set([...list.matchAll(WEEKDAY_REGEX)].map(([name]) => name.slice(0, 2).toUpperCase()));
+  return WEEKDAY_CODES.filter((c) => codes.has(c));
+}
+
+/**
+ * Every recurrence rule in `text`, in text order. Where rules overlap
+ * ("every week on Mon/Wed" also holds "Mon/Wed"), the longest wins.
+ * `byDay` and `byMonthDay` are null when the text leaves them to the date
+ * the rule goes with ("weekly at 9am").
+ *
+ * @param {string} text
+ * @returns {Array<{ index: number, end: number, text: string, freq: "DAILY"|"WEEKLY"|"MONTHLY", interval: number, byDay: string[]|null, byMonthDay: number|null }>}
+ */
+export function detectRecurrences(text) {
+  const found = [];
+  for (const [pattern, read] of PATTERNS) {
+    for (const m of text.matchAll(new RegExp(pattern, "gi"))) {
+      const rule = read(...m.slice(1));
+      // "every 0 days" doesn't repeat
+      if (!(rule.interval >= 1)) continue;
+
+      found.push({
+        index: m.index,
+        end: m.index + m[0].length,
+        text: m[0],
+        byDay: null,
+        byMonthDay: null,
+        ...rule,
+      });
+    }
+  }
+
+  found.sort((a, b) => (b.end - b.index) - (a.end - a.index));
+  const kept = [];
+  for (const rule of found) {
+    if (!kept.some((k) => rule.index < k.end && k.index < rule.end)) kept.push(rule);
+  }
+  return kept.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Fill in what a rule left to its date: "weekly" repeats on the date's
+ * weekday and "monthly" on its day of the month.
+ *
+ * @param {object} rule      - From detectRecurrences
+ * @param {Date} wallClock   - The rule's first date, floating
+ * @returns {{ freq: string, interval: number, byDay: string[]|null, byMonthDay: number|null }}
+ */
+export function completeRecurrence({ freq, interval, byDay, byMonthDay }, wallClock) {
+  return {
+    freq,
+    interval,
+    byDay: freq === "WEEKLY" ? (byDay?.length ? byDay : [WEEKDAY_CODES[wallClock.getUTCDay()]]) : null,
+    byMonthDay: freq === "MONTHLY" ? (byMonthDay ?? wallClock.getUTCDate()) : null,
+  };
+}
+
+/**
+ * Whether a floating wall-clock day is one the rule repeats on, counting
+ * `interval` from the rule's first day. Weeks start on Monday, as in an
+ * RRULE without WKST.
+ *
+ * @param {object} rule - Completed, see completeRecurrence
+ * @param {Date} day    - Midnight of the day, floating
+ * @param {Date} first  - Midnight of the first day, floating
+ * @returns {boolean}
+ */
+export function recursOn({ freq, interval, byDay, byMonthDay }, day, first) {
+  if (freq === "DAILY") {
+    return Math.round((day - first) / DAY_MS) % interval === 0;
+  }
+  if (freq === "WEEKLY") {
+    const weeks = Math.round((mondayOf(day) - mondayOf(first)) / (7 * DAY_MS));
+    return byDay.includes(WEEKDAY_CODES[day.getUTCDay()]) && weeks % interval === 0;
+  }
+  const months = (day.getUTCFullYear() - first.getUTCFullYear()) * 12 + day.getUTCMonth() - first.getUTCMonth();
+  return day.getUTCDate() === byMonthDay && months % interval === 0;
+}
+
+function mondayOf(day) {
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+/**
+ * The rule as an RRULE value: "FREQ=WEEKLY;BYDAY=TU,TH".
+ * @param {object} rule - Completed, see completeRecurrence
+ * @returns {string}
+ */
+export function toRRule({ freq, interval, byDay, byMonthDay }) {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (freq === "WEEKLY") parts.push(`BYDAY=${byDay.join(",")}`);
+  if (freq === "MONTHLY") parts.push(`BYMONTHDAY=${byMonthDay}`);
+  return parts.join(";");
+}
+
+/**
+ * The rule in words: "Every Tuesday and Thursday", "Every other week on
+ * Friday", "Every weekday", "Monthly on day 15".
+ *
+ * @param {object} rule - Completed, see completeRecurrence
+ * @param {string} [locale] - For weekday names
+ * @returns {string}
+ */
+export function describeRecurrence({ freq, interval, byDay, byMonthDay }, locale) {
+  if (freq === "DAILY") return interval > 1 ? `Every ${interval} days` : "Every day";
+  if (freq === "MONTHLY") return interval > 1 ? `Every ${interval} months on day ${byMonthDay}` : `Monthly on day ${byMonthDay}`;
+
+  if (interval === 1 && byDay.join() === WORKWEEK.join()) return "Every weekday";
+
+  // 2026-01-04 was a Sunday
+  const names = new Intl.DateTimeFormat(locale, { weekday: "long", timeZone: "UTC" });
+  const days = new Intl.ListFormat(locale, { type: "conjunction" }).format(
+    byDay.map((code) => names.format(new Date(Date.UTC(2026, 0, 4 + WEEKDAY_CODES.indexOf(code)))))
+  );
+  if (interval === 1) return `Every ${days}`;
+  return interval === 2 ? `Every other week on ${days}` : `Every ${interval} weeks on ${days}`;
+}
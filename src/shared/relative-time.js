@@ -0,0 +1,91 @@
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Largest first; a unit is used once the gap is at least one of it
+const RELATIVE_UNITS = [
+  ["year", 365 * DAY],
+  ["month", 30 * DAY],
+  ["week", 7 * DAY],
+  ["day", DAY],
+  ["hour", HOUR],
+  ["minute", MINUTE],
+];
+
+const COUNTDOWN_UNITS = [
+  ["day", DAY],
+  ["hour", HOUR],
+  ["minute", MINUTE],
+  ["second", SECOND],
+];
+
+/**
+ * `date` relative to `now` in the largest whole unit that fits: "in 3
+ * hours", "2 days ago", or "now" within a minute. Always numeric, so a
+ * time 30 hours away reads "in 1 day" rather than a possibly wrong "tomorrow".
+ *
+ * @param {Date} date
+ * @param {Date} [now]
+ * @param {{ locale?: string }} [format] - See outputFormat
+ * @returns {string}
+ */
+export function relativeTime(date, now = new Date(), { locale } = {}) {
+  const diff = date.getTime() - now.getTime();
+
+  for (const [unit, size] of RELATIVE_UNITS) {
+    if (Math.abs(diff) >= size) {
+      return new Intl.RelativeTimeFormat(locale, { numeric: "always" }).format(Math.trunc(diff / size), unit);
+    }
+  }
+  return new Intl.RelativeTimeFormat(locale, { numeric: "auto" }).format(0, "second");
+}
+
+/**
+ * A gap as a ticking countdown: "3h 20m 15s", "2d 4h 5m". Leading zero
+ * units are left out, and seconds once it's a day or more.
+ *
+ * @param {number} ms - Sign is ignored
+ * @param {{ locale?: string }} [format]
+ * @returns {string}
+ */
+export function formatCountdown(ms, { locale } = {}) {
+  let rest = Math.floor(Math.abs(ms) / SECOND) * SECOND;
+  const amounts = COUNTDOWN_UNITS.map(([unit, size]) => {
+    const amount = Math.floor(rest / size);
+    rest -= amount * size;
+    return [unit, amount];
+  });
+
+  const first = amounts.findIndex(([, amount]) => amount > 0);
+  if (first === -1) return formatUnit(0, "second", locale);
+
+  return amounts
+    .slice(first)
+    .filter(([unit]) => !(unit === "second" && amounts[0][1] > 0))
+    .map(([unit, amount]) => formatUnit(amount, unit, locale))
+    .join(" ");
+}
+
+function formatUnit(amount, unit, locale) {
+  return new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay: "narrow" }).format(amount);
+}
+
+/**
+ * Where an event stands at `now`: not started, under way (a range that has
+ * started but not ended), or over. `ms` is the time to the start, to the
+ * end, or since it ended (negative), respectively.
+ *
+ * @param {Date} startUTC
+ * @param {Date|null} endUTC
+ * @param {Date} [now]
+ * @returns {{ status: "upcoming"|"ongoing"|"past", ms: number }}
+ */
+export function eventTiming(startUTC, endUTC, now = new Date()) {
+  const untilStart = startUTC.getTime() - now.getTime();
+  if (untilStart > 0) return { status: "upcoming", ms: untilStart };
+
+  const untilEnd = (endUTC ?? startUTC).getTime() - now.getTime();
+  if (untilEnd > 0) return { status: "ongoing", ms: untilEnd };
+  return { status: "past", ms: untilEnd };
+}
@@ -0,0 +1,75 @@
+/**
+ * User settings, persisted in chrome.storage.sync so they follow the
+ * user across browsers.
+ */
+export const DEFAULT_SETTINGS = {
+  // IANA zone the dialog converts to by default; "" means the system zone
+  defaultTargetTZ: "",
+  // IANA zones pinned to the top of every timezone select
+  favoriteZones: [],
+  // Extra zones the dialog shows every result in, besides "To"
+  extraTargets: [],
+  // Abbreviation → IANA zone picked for it, e.g. { IST: "Europe/Dublin" }
+  abbreviationPreferences: {},
+  // Read season-specific names as fixed offsets: "EST" is UTC-5 even in July
+  strictAbbreviations: false,
+  // Badge zoned times on every page with their conversion to the target zone
+  annotatePages: false,
+  // How the copy button formats times; an id from COPY_FORMATS (copy-formats.js)
+  copyFormat: "plain",
+  // Template for the "custom" copy format, see fillTemplate
+  copyTemplate: "{start:ddd MMM D, HH:mm} {tz:short}",
+  // Locale for dates and times; "" follows the browser
+  outputLocale: "",
+  // "h12" or "h23" to force a 12- or 24-hour clock; "" uses the locale's
+  hourCycle: "",
+  // Read "Monday 3pm" and a bare "3pm" as the next one, never a past one
+  forwardDates: false,
+  // Read relative dates against the date of the post or page they're on
+  usePageDates: true,
+  // IANA zone → [start, end] working hours for the meeting planner; others get 9–17
+  workingHours: {},
+  // Days to keep converted times in the history (chrome.storage.local); 0 keeps none
+  historyDays: 30,
+};
+
+/**
+ * Load all settings, filling in defaults for anything not stored yet.
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function loadSettings() {
+  const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+/**
+ * Persist a partial settings object; keys not in `patch` are left alone.
+ * Failures, including a storage API gone with a reloaded extension, reject.
+ * @param {Partial<typeof DEFAULT_SETTINGS>} patch
+ * @returns {Promise<void>}
+ */
+export async function saveSettings(patch) {
+  await chrome.storage.sync.set(patch);
+}
+
+/**
+ * The OutputFormat (see parser.js) the user's settings ask for. Unset
+ * fields fall back to the browser's locale and its clock.
+ *
+ * @param {typeof DEFAULT_SETTINGS} settings
+ * @returns {{ locale: string|undefined, hourCycle: "h12"|"h23"|undefined }}
+ */
+export function outputFormat(settings) {
+  return {
+    locale: settings.outputLocale || undefined,
+    hourCycle: settings.hourCycle || undefined,
+  };
+}
+
+/**
+ * The system's own IANA timezone.
+ * @returns {string}
+ */
+export function getLocalTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
@@ -0,0 +1,41 @@
+import { ALL_TIMEZONES, zoneLabel } from "../content/timezone-data.js";
+
+function buildOption(tz, selectedTZ) {
+  const opt = document.createElement("option");
+  opt.value = tz;
+  opt.textContent = zoneLabel(tz);
+  if (tz === selectedTZ) opt.selected = true;
+  return opt;
+}
+
+/**
+ * Build the <option> list for a timezone <select>.
+ * Favorites are pinned to the top in their own group; a selected zone that
+ * isn't in ALL_TIMEZONES (an offset zone like "UTC+05:30") is listed first
+ * so the select can show it.
+ *
+ * @param {string|null} selectedTZ
+ * @param {string[]} [favorites]
+ * @returns {Array<HTMLOptionElement|HTMLOptGroupElement>}
+ */
+export function buildTimezoneOptions(selectedTZ, favorites = []) {
+  const listed = !selectedTZ || ALL_TIMEZONES.includes(selectedTZ) || favorites.includes(selectedTZ);
+  const extra = listed
+    ? []
+    : [buildOption(selectedTZ, selectedTZ)];
+
+  if (favorites.length === 0) {
+    return [...extra, ...ALL_TIMEZONES.map((tz) => buildOption(tz, selectedTZ))];
+  }
+
+  const favGroup = document.createElement("optgroup");
+  favGroup.label = "Favorites";
+  favorites.forEach((tz) => favGroup.appendChild(buildOption(tz, selectedTZ)));
+
+  // Only one option may be selected, so the full list doesn't re-select it
+  const allGroup = document.createElement("optgroup");
+  allGroup.label = "All timezones";
+  ALL_TIMEZONES.forEach((tz) => allGroup.appendChild(buildOption(tz, favorites.includes(tz) ? null : selectedTZ)));
+
+  return [...extra, favGroup, allGroup];
+}
@@ -0,0 +1,98 @@
+import { TIMEZONE_MAP, ZONE_ALIASES, formatOffset, zoneLabel } from "../content/timezone-data.js";
+import { getUtcOffset, getZoneAbbreviation } from "./parser.js";
+
+// IANA zone → every TIMEZONE_MAP key that can mean it ("PT", "Pacific", …)
+const MAP_ALIASES = new Map();
+for (const [key, value] of TIMEZONE_MAP) {
+  for (const tz of Array.isArray(value) ? value : [value]) {
+    if (!MAP_ALIASES.has(tz)) MAP_ALIASES.set(tz, []);
+    MAP_ALIASES.get(tz).push(key);
+  }
+}
+
+function normalize(str) {
+  return str.toLowerCase().replace(/[_/]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Build the searchable entries for a list of zones, with the offset and
+ * abbreviation each one has at `date`.
+ *
+ * @param {string[]} zones
+ * @param {Date} [date]
+ * @returns {Array<{ tz: string, label: string, offset: number, offsetLabel: string, abbr: string|null, terms: string[] }>}
+ */
+export function buildZoneIndex(zones, date = new Date()) {
+  return zones.map((tz) => {
+    const offset = getUtcOffset(date, tz);
+    const offsetLabel = `UTC${formatOffset(offset)}`;
+    const abbr = getZoneAbbreviation(date, tz);
+    const city = tz.split("/").pop();
+
+    const terms = [
+      city,
+      tz,
+      zoneLabel(tz),
+      ...(MAP_ALIASES.get(tz) ?? []),
+      ...(ZONE_ALIASES[tz] ?? []),
+      ...(abbr ? [abbr] : []),
+    ].map(normalize);
+
+    return { tz, label: zoneLabel(tz), offset, offsetLabel, abbr, terms };
+  });
+}
+
+/**
+ * Parse an offset query ("+5:30", "utc-8", "GMT+0530") to minutes, or null.
+ */
+function parseOffsetQuery(query) {
+  const m = /^(?:utc|gmt)?\s*([+\-−])(\d{1,2})(?::?(\d{2}))?$/.exec(query);
+  if (!m) return null;
+  const minutes = parseInt(m[2], 10) * 60 + parseInt(m[3] ?? "0", 10);
+  return m[1] === "+" ? minutes : -minutes;
+}
+
+/**
+ * Score how well `query` matches `term`: exact, prefix, word prefix,
+ * substring, then a loose in-order character match. 0 means no match.
+ */
+function scoreTerm(term, query) {
+  if (term === query) return 100;
+  if (term.startsWith(query)) return 80;
+  if (term.includes(` ${query}`)) return 60;
+  if (term.includes(query)) return 40;
+
+  // Fuzzy: every query character appears in order; tighter spans score higher
+  let pos = -1;
+  let first = -1;
+  for (const ch of query) {
+    if (ch === " ") continue;
+    pos = term.indexOf(ch, pos + 1);
+    if (pos === -1) return 0;
+    if (first === -1) first = pos;
+  }
+  const span = pos - first + 1;
+  return Math.max(1, 20 - (span - query.replace(/ /g, "").length));
+}
+
+/**
+ * Search a zone index. An empty query returns every entry in order;
+ * an offset query ("+5:30", "UTC-8") returns the zones at that offset.
+ *
+ * @param {ReturnType<typeof buildZoneIndex>} index
+ * @param {string} query
+ * @returns {ReturnType<typeof buildZoneIndex>}
+ */
+export function searchZones(index, query) {
+  const q = normalize(query);
+  if (!q) return index;
+
+  const offset = parseOffsetQuery(q.replace(/\s+/g, ""));
+  if (offset !== null) return index.filter((entry) => entry.offset === offset);
+
+  return index
+    .map((entry) => ({ entry, score: Math.max(...entry.terms.map((t) => scoreTerm(t, q))) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ entry }) => entry);
+}
@@ -3,8 +3,43 @@
  * Run with: node test/index.js
  */
 
-import { parseSelectedText, convertParsed } from "../src/shared/parser.js";
-import { detectTimezone } from "../src/content/timezone-data.js";
+import {
+  parseSelectedText,
+  parserLanguages,
+  convertParsed,
+  formatDayDelta,
+  nextOccurrence,
+  recurrenceOccurrences,
+  localTimeChanges,
+  findConflicts,
+  resolveWallClock,
+  disambiguateByName,
+  seasonMismatch,
+} from "../src/shared/parser.js";
+import {
+  detectTimezone,
+  detectTimezones,
+  zoneLabel,
+  rankCandidates,
+  strictZone,
+  ALL_TIMEZONES,
+} from "../src/content/timezone-data.js";
+import { buildZoneIndex, searchZones } from "../src/shared/zone-search.js";
+import { findAnnotations } from "../src/content/annotator.js";
+import { parseDateValue } from "../src/content/page-date.js";
+import { outputFormat } from "../src/shared/settings.js";
+import { eventTiming, formatCountdown, relativeTime } from "../src/shared/relative-time.js";
+import { buildPlannerGrid } from "../src/shared/planner.js";
+import { describeRecurrence, toRRule } from "../src/shared/recurrence.js";
+import { exportHistory, MAX_HISTORY_ENTRIES, pruneHistory, searchHistory } from "../src/shared/history.js";
+import {
+  buildICS,
+  eventEnd,
+  eventSummary,
+  googleCalendarUrl,
+  outlookCalendarUrl,
+} from "../src/shared/calendar.js";
+import { fillTemplate, formatCopyItem, formatCopyText, formatPattern } from "../src/shared/copy-formats.js";
 
 let passed = 0;
 let failed = 0;
@@ -88,6 +123,10 @@ const intlTzCases = [
   ["08:00 NZDT",    "Pacific/Auckland"],
   ["12:00 BRT",     "America/Sao_Paulo"],
   ["12:00 ART",     "America/Argentina/Buenos_Aires"],
+  // Short names count as "… time", not on their own
+  ["3pm Irish time", "Europe/Dublin"],
+  ["10am Japan time", "Asia/Tokyo"],
+  ["9am India Time", "Asia/Kolkata"],
 ];
 
 for (const [text, expected] of intlTzCases) {
@@ -106,6 +145,11 @@ const noTzCases = [
   "tomorrow at noon",
   "February 19th, 9am",
   "hello world",
+  "made in china at 3pm",
+  "Made in China at 3pm",
+  "I watched Japan play at 3pm",
+  "Visit India at 3pm",
+  "Meet Irish at 5pm",
 ];
 
 for (const text of noTzCases) {
@@ -117,6 +161,145 @@ for (const text of noTzCases) {
   );
 }
 
+section("Timezone detection — every mention with offsets");
+
+const multiTzCases = [
+  // [text, [[raw, index, timezone], ...]]
+  ["10am PT / 1pm ET / 6pm BST", [["PT", 5, "America/Los_Angeles"], ["ET", 14, "America/New_York"], ["BST", 23, "Europe/London"]]],
+  ["Doors open at 7:30 PM EST (6:30 PM CST)", [["EST", 22, "America/New_York"], ["CST", 35, "America/Chicago"]]],
+  ["meeting at 3pm", []],
+];
+
+for (const [text, expected] of multiTzCases) {
+  const got = detectTimezones(text).map((z) => [z.text, z.index, z.timezone]);
+  assert(
+    `detectTimezones("${text}")`,
+    JSON.stringify(got) === JSON.stringify(expected),
+    `got ${JSON.stringify(got)}`
+  );
+}
+
+section("Timezone detection — numeric UTC offsets");
+
+const offsetTzCases = [
+  ["14:00 UTC+2",                  "Etc/GMT-2"],
+  ["14:00 UTC+02:00",              "Etc/GMT-2"],
+  ["noon GMT-3",                   "Etc/GMT+3"],
+  ["9am GMT-0800",                 "Etc/GMT+8"],
+  ["3pm UTC+5:30",                 "UTC+05:30"],
+  ["3pm UTC+5:45",                 "UTC+05:45"],
+  ["8am UTC−3:30",                 "UTC-03:30"],
+  ["2026-03-01T09:00:00+05:30",    "UTC+05:30"],
+  ["2026-03-01T09:00:00-08:00",    "Etc/GMT+8"],
+  ["2026-03-01T09:00:00Z",         "UTC"],
+  ["14:00 +09:00",                 "Etc/GMT-9"],
+  ["14:00 UTC",                    "UTC"],
+  // Not offsets
+  ["call 555-1234",                null],
+  ["2026-03-01",                   null],
+  ["Open 10:00-12:00",             null],
+  ["09:00:00-11:30:00",            null],
+  ["09:00-11:30 CET",              "Europe/Paris"],
+  ["Feb 19, 9:00-10:00 ET",        "America/New_York"],
+];
+
+for (const [text, expected] of offsetTzCases) {
+  const got = detectTimezone(text);
+  assert(
+    `detectTimezone("${text}")`,
+    got === expected,
+    `expected "${expected}", got "${got}"`
+  );
+}
+
+const zoneLabelCases = [
+  ["UTC+05:30",            "UTC+05:30"],
+  ["Etc/GMT-2",            "UTC+02:00"],
+  ["Etc/GMT+8",            "UTC-08:00"],
+  ["America/Los_Angeles",  "America/Los Angeles"],
+];
+
+for (const [tz, expected] of zoneLabelCases) {
+  const got = zoneLabel(tz);
+  assert(`zoneLabel("${tz}") → "${expected}"`, got === expected, `got "${got}"`);
+}
+
+section("Timezone detection — ambiguous abbreviations");
+
+const ambiguousCases = [
+  // [text, opts, expectedTimezone]
+  ["15:30 IST", { locale: "en-US" },                                  "Asia/Kolkata"],
+  ["15:30 IST", { locale: "en-IN" },                                  "Asia/Kolkata"],
+  ["15:30 IST", { locale: "en-IE" },                                  "Europe/Dublin"],
+  ["15:30 IST", { locale: "he" },                                     "Asia/Jerusalem"],
+  ["15:30 IST", { locale: "en-US", preferences: { IST: "Europe/Dublin" } }, "Europe/Dublin"],
+  ["15:30 IST", { locale: "en-IN", preferences: { IST: "Asia/Jerusalem" } }, "Asia/Jerusalem"],
+  ["5pm CST",   { locale: "en-US" },                                  "America/Chicago"],
+  ["5pm CST",   { locale: "zh-CN" },                                  "Asia/Shanghai"],
+  ["6pm BST",   { locale: "en-GB" },                                  "Europe/London"],
+  ["6pm BST",   { locale: "bn-BD" },                                  "Asia/Dhaka"],
+  ["noon AST",  { locale: "ar-SA" },                                  "Asia/Riyadh"],
+  // Long forms aren't ambiguous
+  ["3pm Irish Standard Time", { locale: "en-IN" },                    "Europe/Dublin"],
+  ["3pm Israel Daylight Time", { locale: "en-US" },                   "Asia/Jerusalem"],
+];
+
+for (const [text, opts, expected] of ambiguousCases) {
+  const got = detectTimezone(text, opts);
+  assert(
+    `detectTimezone("${text}", ${JSON.stringify(opts)})`,
+    got === expected,
+    `expected "${expected}", got "${got}"`
+  );
+}
+
+{
+  const [ist] = detectTimezones("15:30 IST", { locale: "en-IE" });
+  assert(
+    `detectTimezones("15:30 IST") lists every candidate, ranked`,
+    JSON.stringify(ist.candidates) === JSON.stringify(["Europe/Dublin", "Asia/Kolkata", "Asia/Jerusalem"]),
+    `got ${JSON.stringify(ist.candidates)}`
+  );
+  const ranked = rankCandidates("EST", { locale: "en-IE" });
+  assert(
+    `rankCandidates("EST") → single candidate`,
+    JSON.stringify(ranked) === JSON.stringify(["America/New_York"]),
+    `got ${JSON.stringify(ranked)}`
+  );
+}
+
+section("Timezone detection — localized names");
+
+const localizedTzCases = [
+  ["15 Uhr MEZ",                 "Europe/Berlin"],
+  ["15:00 Uhr MESZ",             "Europe/Berlin"],
+  ["15 Uhr Mitteleuropäische Zeit", "Europe/Berlin"],
+  ["14h heure de Paris",         "Europe/Paris"],
+  ["10h (heure de l’Est)",       "America/New_York"],
+  ["9h HNE",                     "America/New_York"],
+  ["9h HAP",                     "America/Los_Angeles"],
+  ["15:00 hora peninsular",      "Europe/Madrid"],
+  ["15h horário de Brasília",    "America/Sao_Paulo"],
+  ["15時 日本時間",               "Asia/Tokyo"],
+  ["北京时间15点",                "Asia/Shanghai"],
+  ["Mezzanine at 3pm",           null],
+];
+
+for (const [text, expected] of localizedTzCases) {
+  const got = detectTimezone(text);
+  assert(
+    `detectTimezone("${text}")`,
+    got === expected,
+    `expected "${expected}", got "${got}"`
+  );
+}
+
+assert(
+  `strict MESZ is UTC+2, HNE is UTC-5`,
+  detectTimezones("15 Uhr MESZ", { strict: true })[0]?.timezone === "Etc/GMT-2"
+    && detectTimezones("9h HNE", { strict: true })[0]?.timezone === "Etc/GMT+5"
+);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // DATE/TIME PARSING
 // ─────────────────────────────────────────────────────────────────────────────
@@ -203,8 +386,8 @@ for (const [text, expectRange] of rangeParseCases) {
     if (expectRange) {
       assert(
         `parseSelectedText("${text}") → hasRange`,
-        got.hasRange,
-        `hasRange=${got.hasRange}, end=${got.end}`
+        got[0].hasRange,
+        `hasRange=${got[0].hasRange}, end=${got[0].end}`
       );
     } else {
       assert(`parseSelectedText("${text}") → non-null`, true);
@@ -248,8 +431,8 @@ for (const [text, expectedHour, expectedMinute] of hourCases) {
     assert(`"${text}" → hour ${expectedHour}:${String(expectedMinute).padStart(2,"0")}`, false, "returned null");
     continue;
   }
-  const h = got.start.getHours();
-  const m = got.start.getMinutes();
+  const h = got[0].start.getUTCHours();
+  const m = got[0].start.getUTCMinutes();
   assert(
     `"${text}" → ${expectedHour}:${String(expectedMinute).padStart(2,"0")}`,
     h === expectedHour && m === expectedMinute,
@@ -287,6 +470,85 @@ for (const text of combinedCases) {
   );
 }
 
+section("Parsing — each match tied to its closest zone");
+
+const zoneAssocCases = [
+  // [text, [timezone per match]]
+  ["10am PT / 1pm ET / 6pm BST",                  ["America/Los_Angeles", "America/New_York", "Europe/London"]],
+  ["Live at 9pm ET / 6pm PT",                     ["America/New_York", "America/Los_Angeles"]],
+  ["Doors open at 7:30 PM EST (6:30 PM CST)",     ["America/New_York", "America/Chicago"]],
+  ["9:00 AM to 5:00 PM Pacific Standard Time",    ["America/Los_Angeles"]],
+  ["Session A: 9am ET, Office hours Friday 4pm",  ["America/New_York", "America/New_York"]],
+];
+
+for (const [text, expected] of zoneAssocCases) {
+  const got = (parseSelectedText(text) ?? []).map((m) => m.timezone);
+  assert(
+    `"${text}" → ${expected.join(", ")}`,
+    JSON.stringify(got) === JSON.stringify(expected),
+    `got ${JSON.stringify(got)}`
+  );
+}
+
+section("Parsing — conflicting restatements");
+
+const conflictCases = [
+  // [label, [[hour, tz], ...], expected]
+  ["10am PT / 1pm ET agree",        [[10, "America/Los_Angeles"], [13, "America/New_York"]], [-1, -1]],
+  ["10am PT / 2pm ET disagree",     [[10, "America/Los_Angeles"], [14, "America/New_York"]], [-1, 0]],
+  ["9am ET / 2pm ET (same zone)",   [[9, "America/New_York"], [14, "America/New_York"]],     [-1, -1]],
+];
+
+for (const [label, rows, expected] of conflictCases) {
+  const matches = rows.map(([h]) => ({ start: makeDate(2025, 6, 10, h, 0) }));
+  const got = findConflicts(matches, rows.map(([, tz]) => tz));
+  assert(
+    `findConflicts: ${label}`,
+    JSON.stringify(got) === JSON.stringify(expected),
+    `got ${JSON.stringify(got)}`
+  );
+}
+
+section("Parsing — reference date and forward dates");
+
+{
+  // A Wednesday; "Monday" is two days back, or five ahead looking forward
+  const referenceDate = new Date(2026, 8, 16, 12, 0);
+
+  const referenceCases = [
+    // [text, opts, expected wall clock]
+    ["Monday 3pm", { referenceDate }, "2026-09-14T15:00"],
+    ["Monday 3pm", { referenceDate, forwardDate: true }, "2026-09-21T15:00"],
+    ["9am", { referenceDate }, "2026-09-16T09:00"],
+    ["9am", { referenceDate, forwardDate: true }, "2026-09-17T09:00"],
+    ["July 15 3pm", { referenceDate: new Date(2025, 5, 1) }, "2025-07-15T15:00"],
+    ["July 15 2030 3pm", { referenceDate, forwardDate: true }, "2030-07-15T15:00"],
+  ];
+
+  for (const [text, opts, expected] of referenceCases) {
+    const got = parseSelectedText(text, opts)?.[0]?.start.toISOString().slice(0, 16);
+    assert(
+      `parseSelectedText("${text}"${opts.forwardDate ? ", forward" : ""}) → ${expected}`,
+      got === expected,
+      `got ${got}`
+    );
+  }
+
+  const dateValueCases = [
+    ["2026-01-05T09:30:00Z", "2026-01-05T09:30:00.000Z"],
+    ["2026-01-05", new Date(2026, 0, 5).toISOString()],
+    ["  2026-01-05T09:30:00+01:00 ", "2026-01-05T08:30:00.000Z"],
+    ["3 days ago", null],
+    ["", null],
+    [null, null],
+  ];
+
+  for (const [value, expected] of dateValueCases) {
+    const got = parseDateValue(value)?.toISOString() ?? null;
+    assert(`parseDateValue(${JSON.stringify(value)})`, got === expected, `got ${got}`);
+  }
+}
+
 section("Parsing — no date (should return null)");
 
 const noDateCases = [
@@ -315,6 +577,78 @@ for (const text of timeWordCases) {
   assert(`parseSelectedText("${text}") doesn't throw`, !threw);
 }
 
+section("Parsing — multiple matches in one selection");
+
+const multiMatchCases = [
+  // [text, [[matchText, hour24, timezone], ...]]
+  [
+    "Session A: 9am ET, Session B: 2pm ET, Office hours Friday 4pm",
+    [["9am ET", 9, "America/New_York"], ["2pm ET", 14, "America/New_York"], ["Friday 4pm", 16, "America/New_York"]],
+  ],
+  [
+    "Mon Jan 6 | 2:00 PM PT — Tue Jan 7 | 9:00 AM PT",
+    [["Mon Jan 6 | 2:00 PM PT", 14, "America/Los_Angeles"], ["Tue Jan 7 | 9:00 AM PT", 9, "America/Los_Angeles"]],
+  ],
+];
+
+for (const [text, expected] of multiMatchCases) {
+  const got = parseSelectedText(text) ?? [];
+  assert(
+    `parseSelectedText("${text}") → ${expected.length} matches`,
+    got.length === expected.length,
+    `got ${got.length}`
+  );
+  expected.forEach(([matchText, hour, tz], i) => {
+    const m = got[i];
+    assert(
+      `  match ${i + 1} → "${matchText}" at ${hour}:00, tz ${tz}`,
+      m && m.text === matchText && text.slice(m.index, m.index + m.text.length) === matchText &&
+        m.start.getUTCHours() === hour && m.timezone === tz,
+      m ? `got "${m.text}" @${m.index}, ${m.start.getUTCHours()}:00, tz ${m.timezone}` : "missing"
+    );
+  });
+}
+
+section("Parsing — other languages");
+
+const languageCases = [
+  // [text, languages, expected match text, expected wall clock (ISO, minutes)]
+  ["Dienstag, 14. Juli 2026 um 15 Uhr MEZ", ["de", "en"], "Dienstag, 14. Juli 2026 um 15 Uhr MEZ", "2026-07-14T15:00"],
+  ["mardi 14 juillet 2026 à 14h CET", ["fr", "en"], "mardi 14 juillet 2026 à 14h CET", "2026-07-14T14:00"],
+  ["2026年7月14日 15時 JST", ["ja", "en"], "2026年7月14日 15時 JST", "2026-07-14T15:00"],
+  ["dinsdag 14 juli 2026 om 15:00", ["nl", "en"], "dinsdag 14 juli 2026 om 15:00", "2026-07-14T15:00"],
+  ["martes 14 de julio de 2026 a las 15:00", ["es", "en"], "martes 14 de julio de 2026 a las 15:00", "2026-07-14T15:00"],
+  // Page in English, text in German: English finds nothing, German is tried
+  ["14. Juli 2026 um 15 Uhr", ["en"], "14. Juli 2026 um 15 Uhr", "2026-07-14T15:00"],
+  // …only when asked, as the annotator doesn't
+  ["14. Juli 2026 um 15 Uhr", ["en"], null, null, false],
+  // English still wins on English text when another language comes first
+  ["July 14 2026 at 3pm", ["de", "en"], "July 14 2026 at 3pm", "2026-07-14T15:00"],
+];
+
+for (const [text, languages, expectedText, expectedWall, anyLanguage = true] of languageCases) {
+  const [match] = parseSelectedText(text, { languages, anyLanguage }) ?? [];
+  const got = match ? [match.text, match.start.toISOString().slice(0, 16)] : null;
+  assert(
+    `parseSelectedText("${text}", ${languages.join("/")}${anyLanguage ? "" : ", preferred only"})`,
+    JSON.stringify(got) === JSON.stringify(expectedText && [expectedText, expectedWall]),
+    `got ${JSON.stringify(got)}`
+  );
+}
+
+{
+  const [match] = parseSelectedText("Dienstag, 14. Juli 2026 um 15 Uhr MEZ", { languages: ["de", "en"] });
+  const conv = convertParsed(match, match.timezone, "America/New_York", { locale: "en-US" });
+  assert(`German MEZ time converts from Berlin → "9:00 AM"`, conv.displayTime === "9:00 AM", `got "${conv.displayTime}"`);
+}
+
+assert(
+  `parserLanguages puts the page first, ends with English, drops unsupported tags`,
+  JSON.stringify(parserLanguages("fr-CA").slice(0, 1)) === '["fr"]'
+    && parserLanguages("xx-invalid-tag-").at(-1) === "en"
+    && !parserLanguages("ko-KR").includes("ko")
+);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CONVERSION CORRECTNESS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -323,8 +657,9 @@ section("Conversion correctness — spot checks (ET→PT)");
 // Known: Feb 18 2025, 9:00 AM ET = 6:00 AM PT
 // We'll parse a fixed reference and check conversion
 function makeDate(y, mo, d, h, mi) {
-  // Construct a "wall clock" date in local time that chrono would return
-  return new Date(y, mo - 1, d, h, mi, 0);
+  // Construct a floating "wall clock" date (components in the UTC fields),
+  // the same shape parseSelectedText returns
+  return new Date(Date.UTC(y, mo - 1, d, h, mi, 0));
 }
 
 const convCases = [
@@ -349,6 +684,27 @@ const convCases = [
     toTZ: "America/New_York",
     expectTime: "7:00 AM",  // UTC-5 in Feb
   },
+  {
+    label: "9:00 AM UTC+05:30 → 3:30 AM UTC",
+    parsed: { start: makeDate(2026, 3, 1, 9, 0), end: null, hasRange: false },
+    fromTZ: "UTC+05:30",
+    toTZ: "UTC",
+    expectTime: "3:30 AM",
+  },
+  {
+    label: "12:00 UTC → 5:45 PM UTC+05:45",
+    parsed: { start: makeDate(2026, 3, 1, 12, 0), end: null, hasRange: false },
+    fromTZ: "UTC",
+    toTZ: "UTC+05:45",
+    expectTime: "5:45 PM",
+  },
+  {
+    label: "14:00 UTC+2 → 7:00 AM ET",
+    parsed: { start: makeDate(2026, 3, 1, 14, 0), end: null, hasRange: false },
+    fromTZ: "Etc/GMT-2",
+    toTZ: "America/New_York",
+    expectTime: "7:00 AM",
+  },
   {
     label: "9:00 AM PT → 5:00 PM GMT",
     parsed: { start: makeDate(2025, 2, 19, 9, 0), end: null, hasRange: false },
@@ -371,6 +727,848 @@ for (const { label, parsed, fromTZ, toTZ, expectTime } of convCases) {
   }
 }
 
+section("Conversion correctness — DST transitions");
+
+const dstCases = [
+  // [label, wall clock [y, mo, d, h, mi], tz, expected status, expected UTC ISO (earlier reading)]
+  // March: clocks spring forward
+  ["NY 2:30 AM Mar 9 2025 (skipped)",        [2025, 3, 9, 2, 30],   "America/New_York",    "nonexistent", "2025-03-09T07:30:00.000Z"],
+  ["NY 1:59 AM Mar 9 2025 (before gap)",     [2025, 3, 9, 1, 59],   "America/New_York",    "ok",          "2025-03-09T06:59:00.000Z"],
+  ["NY 3:00 AM Mar 9 2025 (after gap)",      [2025, 3, 9, 3, 0],    "America/New_York",    "ok",          "2025-03-09T07:00:00.000Z"],
+  ["LA 2:15 AM Mar 9 2025 (skipped)",        [2025, 3, 9, 2, 15],   "America/Los_Angeles", "nonexistent", "2025-03-09T10:15:00.000Z"],
+  ["London 1:30 AM Mar 30 2025 (skipped)",   [2025, 3, 30, 1, 30],  "Europe/London",       "nonexistent", "2025-03-30T01:30:00.000Z"],
+  ["Paris 2:30 AM Mar 30 2025 (skipped)",    [2025, 3, 30, 2, 30],  "Europe/Paris",        "nonexistent", "2025-03-30T01:30:00.000Z"],
+  // November / October: clocks fall back
+  ["NY 1:30 AM Nov 2 2025 (twice)",          [2025, 11, 2, 1, 30],  "America/New_York",    "ambiguous",   "2025-11-02T05:30:00.000Z"],
+  ["NY 3:00 AM Nov 2 2025 (after overlap)",  [2025, 11, 2, 3, 0],   "America/New_York",    "ok",          "2025-11-02T08:00:00.000Z"],
+  ["Chicago 1:00 AM Nov 2 2025 (twice)",     [2025, 11, 2, 1, 0],   "America/Chicago",     "ambiguous",   "2025-11-02T06:00:00.000Z"],
+  ["London 1:30 AM Oct 26 2025 (twice)",     [2025, 10, 26, 1, 30], "Europe/London",       "ambiguous",   "2025-10-26T00:30:00.000Z"],
+  // Southern hemisphere and half-hour DST
+  ["Sydney 2:30 AM Oct 5 2025 (skipped)",    [2025, 10, 5, 2, 30],  "Australia/Sydney",    "nonexistent", "2025-10-04T16:30:00.000Z"],
+  ["Sydney 2:30 AM Apr 6 2025 (twice)",      [2025, 4, 6, 2, 30],   "Australia/Sydney",    "ambiguous",   "2025-04-05T15:30:00.000Z"],
+  ["Lord Howe 1:45 AM Apr 6 2025 (twice)",   [2025, 4, 6, 1, 45],   "Australia/Lord_Howe", "ambiguous",   "2025-04-05T14:45:00.000Z"],
+  // No DST at all
+  ["Kolkata 2:30 AM Mar 9 2025",             [2025, 3, 9, 2, 30],   "Asia/Kolkata",        "ok",          "2025-03-08T21:00:00.000Z"],
+];
+
+for (const [label, [y, mo, d, h, mi], tz, status, iso] of dstCases) {
+  const got = resolveWallClock(makeDate(y, mo, d, h, mi), tz);
+  assert(
+    `${label} → ${status}, ${iso}`,
+    got.status === status && got.utc.toISOString() === iso,
+    `got ${got.status}, ${got.utc.toISOString()}`
+  );
+}
+
+{
+  const wall = makeDate(2025, 11, 2, 1, 30);
+  const later = resolveWallClock(wall, "America/New_York", "later");
+  assert(
+    `NY 1:30 AM Nov 2 2025, later reading → 06:30Z (EST)`,
+    later.utc.toISOString() === "2025-11-02T06:30:00.000Z" && later.candidates.length === 2,
+    `got ${later.utc.toISOString()}`
+  );
+
+  const { candidates } = resolveWallClock(wall, "America/New_York");
+  const byName = [["EDT", "earlier"], ["EST", "later"], ["Eastern Standard Time", "later"], ["ET", null]];
+  for (const [name, expected] of byName) {
+    const got = disambiguateByName(name, "America/New_York", candidates);
+    assert(`disambiguateByName("${name}") → ${expected}`, got === expected, `got ${got}`);
+  }
+
+  const conv = convertParsed(
+    { start: wall, end: null, hasRange: false },
+    "America/New_York",
+    "UTC",
+    { disambiguation: "later" }
+  );
+  assert(
+    `convertParsed honours disambiguation and reports the overlap`,
+    conv.displayTime.includes("6:30") && conv.startResolution.status === "ambiguous",
+    `got "${conv.displayTime}", ${conv.startResolution.status}`
+  );
+}
+
+section("Conversion correctness — day shift");
+
+const dayShiftCases = [
+  // [label, wall clock [y, mo, d, h, mi], from, to, expected [source weekday, target weekday, delta]]
+  ["Thu 9pm PT → Tokyo",          [2026, 1, 8, 21, 0],  "America/Los_Angeles", "Asia/Tokyo",          ["Thursday", "Friday", 1]],
+  ["Fri 8am Tokyo → PT",          [2026, 1, 9, 8, 0],   "Asia/Tokyo",          "America/Los_Angeles", ["Friday", "Thursday", -1]],
+  ["Thu 10am ET → London",        [2026, 1, 8, 10, 0],  "America/New_York",    "Europe/London",       ["Thursday", "Thursday", 0]],
+  ["Kiritimati → Pago Pago",      [2026, 1, 8, 12, 0],  "Pacific/Kiritimati",  "Pacific/Pago_Pago",   ["Thursday", "Wednesday", -1]],
+  ["Sat 3am UTC+05:30 → UTC",     [2026, 1, 10, 3, 0],  "UTC+05:30",           "UTC",                 ["Saturday", "Friday", -1]],
+  ["Dec 31 11pm NY → Jan 1 Sydney", [2025, 12, 31, 23, 0], "America/New_York", "Australia/Sydney",    ["Wednesday", "Thursday", 1]],
+];
+
+for (const [label, [y, mo, d, h, mi], from, to, expected] of dayShiftCases) {
+  const parsed = { start: makeDate(y, mo, d, h, mi), end: null, hasRange: false };
+  const conv = convertParsed(parsed, from, to, { locale: "en-US" });
+  const got = [conv.sourceWeekday, conv.targetWeekday, conv.dayDelta];
+  assert(
+    `${label} → ${expected[0]} → ${expected[1]} (${expected[2]})`,
+    JSON.stringify(got) === JSON.stringify(expected),
+    `got ${JSON.stringify(got)}`
+  );
+}
+
+assert(
+  `formatDayDelta → "+1 day", "\u22122 days", ""`,
+  formatDayDelta(1) === "+1 day" && formatDayDelta(-2) === "\u22122 days" && formatDayDelta(0) === ""
+);
+
+section("Conversion correctness — source side");
+
+{
+  // The dialog's "As read" side converts a time to its own zone
+  const [match] = parseSelectedText("Jan 7 2026 3pm EST");
+  const read = convertParsed(match, "America/New_York", "America/New_York", { locale: "en-US" });
+  assert(`3pm EST read in New York → "3:00 PM"`, read.displayTime === "3:00 PM" && read.dayDelta === 0, `got "${read.displayTime}"`);
+
+  const gap = { start: makeDate(2025, 3, 9, 2, 30), end: null, hasRange: false };
+  const gapRead = convertParsed(gap, "America/New_York", "America/New_York", { locale: "en-US" });
+  assert(`skipped 2:30 AM read in New York → "3:30 AM", as converted`, gapRead.displayTime === "3:30 AM", `got "${gapRead.displayTime}"`);
+}
+
+section("Conversion correctness — strict abbreviations");
+
+const strictCases = [
+  // [text, expected zone in strict mode]
+  ["3pm EST",                   "Etc/GMT+5"],
+  ["3pm EDT",                   "Etc/GMT+4"],
+  ["3pm Pacific Standard Time", "Etc/GMT+8"],
+  ["3pm CEST",                  "Etc/GMT-2"],
+  ["3pm BST",                   "Etc/GMT-1"],
+  ["3pm ET",                    "America/New_York"],
+  ["3pm JST",                   "Asia/Tokyo"],
+  ["3pm UTC+5:30",              "UTC+05:30"],
+];
+
+for (const [text, expected] of strictCases) {
+  const got = detectTimezone(text, { locale: "en-GB", strict: true });
+  assert(`strict: "${text}" → ${expected}`, got === expected, `got ${got}`);
+}
+
+{
+  assert(`strict off: "3pm EST" → America/New_York`, detectTimezone("3pm EST") === "America/New_York");
+  assert(`strictZone("IST", "Europe/Dublin") → Etc/GMT-1`, strictZone("IST", "Europe/Dublin") === "Etc/GMT-1");
+  assert(`strictZone("IST", "Asia/Kolkata") → Asia/Kolkata`, strictZone("IST", "Asia/Kolkata") === "Asia/Kolkata");
+
+  const [july] = parseSelectedText("July 15 2025 3pm EST", { strict: true });
+  const conv = convertParsed(july, july.timezone, "UTC");
+  assert(
+    `strict: "July 15 2025 3pm EST" → 20:00 UTC`,
+    conv.startUTC.toISOString() === "2025-07-15T20:00:00.000Z",
+    `got ${conv.startUTC.toISOString()}`
+  );
+}
+
+const seasonCases = [
+  // [text, IANA zone, expected mismatch or null]
+  ["July 15 2025 3pm EST",  "America/New_York", { expected: "EDT", season: "summer" }],
+  ["Jan 15 2025 3pm EDT",   "America/New_York", { expected: "EST", season: "winter" }],
+  ["July 15 2025 3pm EDT",  "America/New_York", null],
+  ["July 15 2025 3pm Pacific Standard Time", "America/Los_Angeles", { expected: "Pacific Daylight Time", season: "summer" }],
+  ["Jan 15 2025 3pm AEST",  "Australia/Sydney", { expected: "AEDT", season: "summer" }],
+  ["July 15 2025 3pm ET",   "America/New_York", null],
+];
+
+for (const [text, tz, expected] of seasonCases) {
+  const [match] = parseSelectedText(text);
+  const got = seasonMismatch(match.zone, tz, match.start);
+  const ok = expected === null
+    ? got === null
+    : got?.expected === expected.expected && got?.season === expected.season;
+  assert(
+    `seasonMismatch("${text}") → ${expected ? `${expected.season}, ${expected.expected}` : "null"}`,
+    ok,
+    `got ${JSON.stringify(got)}`
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TIMEZONE SEARCH
+// ─────────────────────────────────────────────────────────────────────────────
+section("Timezone search — picker type-ahead");
+
+// Fixed winter instant so offsets don't depend on when the tests run
+const zoneIndex = buildZoneIndex(ALL_TIMEZONES, new Date(Date.UTC(2025, 0, 15, 12)));
+
+const searchCases = [
+  // [query, expected top result]
+  ["Bangalore",         "Asia/Kolkata"],
+  ["bangalor",          "Asia/Kolkata"],
+  ["Pacific Time",      "America/Los_Angeles"],
+  ["PT",                "America/Los_Angeles"],
+  ["buenos",            "America/Argentina/Buenos_Aires"],
+  ["new york",          "America/New_York"],
+  ["San Francisco",     "America/Los_Angeles"],
+  ["tokyo",             "Asia/Tokyo"],
+  ["+5:30",             "Asia/Kolkata"],
+  ["UTC+05:45",         "Asia/Kathmandu"],
+];
+
+for (const [query, expected] of searchCases) {
+  const got = searchZones(zoneIndex, query)[0]?.tz;
+  assert(`searchZones("${query}") → ${expected}`, got === expected, `got ${got}`);
+}
+
+{
+  const la = zoneIndex.find((e) => e.tz === "America/Los_Angeles");
+  assert(
+    `zone index entry shows offset and abbreviation`,
+    la.offsetLabel === "UTC-08:00" && la.abbr === "PST",
+    `got ${la.offsetLabel} ${la.abbr}`
+  );
+  const gmt8 = searchZones(zoneIndex, "GMT-8").map((e) => e.tz);
+  assert(
+    `searchZones("GMT-8") → only UTC-8 zones`,
+    gmt8.includes("America/Los_Angeles") && !gmt8.includes("America/Denver"),
+    `got ${gmt8.join(", ")}`
+  );
+  assert(
+    `searchZones("zzqx") → no results`,
+    searchZones(zoneIndex, "zzqx").length === 0
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PAGE ANNOTATIONS
+// ─────────────────────────────────────────────────────────────────────────────
+section("Page annotations — badge placement");
+
+const annotationCases = [
+  // [text, target, expected badges as [text before badge, label]]
+  ["Doors open July 15 2025 at 3pm EST.", "Europe/London", [["Doors open July 15 2025 at 3pm EST", "8:00 PM"]]],
+  ["Jan 7 2026 10am PT, Jan 8 2026 1pm ET", "Asia/Tokyo", [["Jan 7 2026 10am PT", "Thu 3:00 AM"], ["Jan 7 2026 10am PT, Jan 8 2026 1pm ET", "Fri 3:00 AM"]]],
+  ["Standup at 9:30 tomorrow", "Europe/London", []],
+  ["Call Mar 3 2026 at 2pm GMT", "Europe/London", []],
+  ["Released in 2024 with 30 UTC regions", "Europe/London", []],
+  ["Posted Jan 5, 2026. Call Jan 6 2026 at 3pm ET.", "Europe/London", [["Posted Jan 5, 2026. Call Jan 6 2026 at 3pm ET", "8:00 PM"]]],
+  ["Released March 5 2026 (UTC)", "America/New_York", []],
+  ["Call Mar 3 2026 at 2pm. Notes in UTC.", "America/New_York", []],
+];
+
+for (const [text, target, expected] of annotationCases) {
+  const got = findAnnotations(text, target, { locale: "en-US" }).map((a) => [text.slice(0, a.end), a.label]);
+  assert(
+    `findAnnotations("${text}", ${target}) → ${expected.length} badge(s)`,
+    JSON.stringify(got) === JSON.stringify(expected),
+    `got ${JSON.stringify(got)}`
+  );
+}
+
+{
+  const [badge] = findAnnotations("July 15 2025 3pm EST", "Europe/London", { locale: "en-US" });
+  assert(
+    `badge tooltip names the source zone and full conversion`,
+    badge.title.includes("America/New York") && badge.title.includes("July 15"),
+    `got ${JSON.stringify(badge.title)}`
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CALENDAR EXPORT
+// ─────────────────────────────────────────────────────────────────────────────
+section("Calendar export — .ics and links");
+
+{
+  const [match] = parseSelectedText("July 15 2025 3pm EST");
+  const conv = convertParsed(match, match.timezone, "UTC");
+  const event = {
+    summary: "Keynote, day 1; main hall",
+    start: conv.startUTC,
+    end: eventEnd(conv.startUTC, conv.endUTC),
+    description: "July 15 2025 3pm EST\nhttps://example.com/schedule",
+  };
+  const now = new Date(Date.UTC(2025, 6, 1, 12, 0, 0));
+  const ics = buildICS([event], { now });
+  const lines = ics.split("\r\n");
+
+  assert(`eventEnd defaults to one hour`, event.end.toISOString() === "2025-07-15T20:00:00.000Z", `got ${event.end.toISOString()}`);
+  assert(`VEVENT has UTC DTSTART`, lines.includes("DTSTART:20250715T190000Z"), ics);
+  assert(`VEVENT has UTC DTEND`, lines.includes("DTEND:20250715T200000Z"), ics);
+  assert(`VEVENT has DTSTAMP`, lines.includes("DTSTAMP:20250701T120000Z"), ics);
+  assert(`SUMMARY escapes commas and semicolons`, lines.includes("SUMMARY:Keynote\\, day 1\\; main hall"), ics);
+  assert(`DESCRIPTION escapes newlines`, ics.includes("DESCRIPTION:July 15 2025 3pm EST\\nhttps://example.com/schedule"), ics);
+  assert(`lines are CRLF-terminated and wrapped in VCALENDAR`, ics.startsWith("BEGIN:VCALENDAR\r\n") && ics.endsWith("END:VCALENDAR\r\n"));
+
+  const zoned = buildICS([{ ...event, tzid: "America/New_York" }], { now });
+  assert(`TZID form uses the wall clock`, zoned.includes("DTSTART;TZID=America/New_York:20250715T150000"), zoned);
+  assert(`a TZID gets one VTIMEZONE, a UTC time none`, zoned.split("BEGIN:VTIMEZONE").length === 2 && !ics.includes("VTIMEZONE"), zoned);
+
+  const long = buildICS([{ ...event, summary: "Ü".repeat(60) }], { now });
+  const folded = long.split("\r\n").filter((l) => l.startsWith("SUMMARY") || l.startsWith(" "));
+  assert(
+    `long lines fold at 75 octets without splitting characters`,
+    folded.length > 1 && folded.every((l) => new TextEncoder().encode(l).length <= 75) && folded.join("").replace(/ /g, "").includes("Ü".repeat(60)),
+    JSON.stringify(folded)
+  );
+
+  const google = new URL(googleCalendarUrl(event));
+  assert(
+    `Google Calendar link carries title and UTC dates`,
+    google.searchParams.get("text") === event.summary && google.searchParams.get("dates") === "20250715T190000Z/20250715T200000Z",
+    google.href
+  );
+  const outlook = new URL(outlookCalendarUrl(event));
+  assert(
+    `Outlook link carries subject and ISO dates`,
+    outlook.searchParams.get("subject") === event.summary && outlook.searchParams.get("startdt") === "2025-07-15T19:00:00Z",
+    outlook.href
+  );
+}
+
+const summaryCases = [
+  // [surrounding text, parts to drop, expected title]
+  ["Keynote — July 15, 3pm EST", ["July 15, 3pm", "EST"], "Keynote"],
+  ["Team sync at 3pm ET", ["3pm", "ET"], "Team sync"],
+  ["Session B: 2pm ET (Room 4)", ["2pm", "ET"], "Session B: (Room 4)"],
+  ["3pm EST", ["3pm", "EST"], ""],
+];
+
+for (const [text, parts, expected] of summaryCases) {
+  const got = eventSummary(text, parts);
+  assert(`eventSummary("${text}") → "${expected}"`, got === expected, `got "${got}"`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COPY FORMATS
+// ─────────────────────────────────────────────────────────────────────────────
+section("Copy formats");
+
+{
+  const [single] = parseSelectedText("July 15 2025 3pm EST");
+  const [range] = parseSelectedText("July 15 2025 3pm-4:30pm EST");
+  const item = { original: single.text, from: "America/New_York", to: "Europe/London", conv: convertParsed(single, "America/New_York", "Europe/London") };
+  const rangeItem = { original: range.text, from: "America/New_York", to: "Europe/London", conv: convertParsed(range, "America/New_York", "Europe/London") };
+
+  const formatCases = [
+    // [format, item, expected]
+    ["plain",    item,      "July 15, 2025\n8:00 PM British Summer Time"],
+    ["iso",      item,      "2025-07-15T20:00:00+01:00"],
+    ["iso",      rangeItem, "2025-07-15T20:00:00+01:00/2025-07-15T21:30:00+01:00"],
+    ["epoch",    item,      "1752606000"],
+    ["discord",  item,      "<t:1752606000:F>"],
+    ["discord",  rangeItem, "<t:1752606000:F> – <t:1752611400:t>"],
+    ["slack",    item,      "<!date^1752606000^{date_long_pretty} {time}|July 15, 2025, 8:00 PM British Summer Time>"],
+    ["markdown", item,      "**July 15, 2025, 8:00 PM** (British Summer Time)"],
+    ["original", item,      "July 15 2025 3pm EST (America/New York) → July 15, 2025, 8:00 PM British Summer Time"],
+  ];
+
+  for (const [format, it, expected] of formatCases) {
+    const got = formatCopyItem(format, it);
+    assert(`copy format ${format}${it === rangeItem ? " (range)" : ""}`, got === expected, `got ${JSON.stringify(got)}`);
+  }
+
+  const templateCases = [
+    // [template, expected]
+    ["{start:ddd MMM D, HH:mm} {tz:short}",         "Tue Jul 15, 20:00 BST"],
+    ["{start:YYYY-MM-DD[T]HH:mm} {tz:offset}",      "2025-07-15T20:00 UTC+01:00"],
+    ["{start:h:mm a} [at] {tz:id} ({original})",   "8:00 pm [at] Europe/London (July 15 2025 3pm EST)"],
+    ["{start:dddd, MMMM D} from {from}{end:h:mm}", "Tuesday, July 15 from America/New York"],
+    ["{unknown} {epoch}",                           "{unknown} 1752606000"],
+  ];
+
+  for (const [template, expected] of templateCases) {
+    const got = fillTemplate(template, item);
+    assert(`template "${template}"`, got === expected, `got ${JSON.stringify(got)}`);
+  }
+
+  assert(
+    `formatPattern in a half-hour zone`,
+    formatPattern(item.conv.startUTC, "Asia/Kolkata", "HH:mm") === "00:30"
+  );
+  assert(
+    `formatCopyText joins plain items with a blank line, others one per line`,
+    formatCopyText("plain", [item, item]).split("\n\n").length === 2
+      && formatCopyText("epoch", [item, rangeItem]) === "1752606000\n1752606000-1752611400"
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LOCALIZED OUTPUT
+// ─────────────────────────────────────────────────────────────────────────────
+section("Localized output — locale and clock");
+
+{
+  const [match] = parseSelectedText("July 15 2025 3pm EST");
+
+  const localeCases = [
+    // [format, expected date, expected time, expected zone name]
+    [{ locale: "en-US" }, "July 15, 2025", "8:00 PM", "British Summer Time"],
+    [{ locale: "en-GB" }, "15 July 2025", "20:00", "British Summer Time"],
+    [{ locale: "de-DE" }, "15. Juli 2025", "20:00", "Britische Sommerzeit"],
+    [{ locale: "fr-FR" }, "15 juillet 2025", "20:00", "heure d’été britannique"],
+    [{ locale: "ja-JP" }, "2025年7月15日", "20:00", "英国夏時間"],
+    [{ locale: "en-US", hourCycle: "h23" }, "July 15, 2025", "20:00", "British Summer Time"],
+    [{ locale: "de-DE", hourCycle: "h12" }, "15. Juli 2025", "8:00 PM", "Britische Sommerzeit"],
+  ];
+
+  for (const [format, date, time, zone] of localeCases) {
+    const conv = convertParsed(match, "America/New_York", "Europe/London", format);
+    const got = [conv.displayDate, conv.displayTime, conv.displayTZ];
+    assert(
+      `${JSON.stringify(format)} → "${date}, ${time} ${zone}"`,
+      JSON.stringify(got) === JSON.stringify([date, time, zone]),
+      `got ${JSON.stringify(got)}`
+    );
+  }
+
+  const fixed = convertParsed(match, "America/New_York", "UTC+05:30", { locale: "de-DE" });
+  assert(
+    `fixed-offset target localizes too → "16. Juli 2025, 0:30"`,
+    fixed.displayDate === "16. Juli 2025" && fixed.displayTime === "0:30",
+    `got "${fixed.displayDate}, ${fixed.displayTime}"`
+  );
+
+  const [badge] = findAnnotations("Jan 7 2026 10am PT", "Asia/Tokyo", {}, { locale: "de-DE" });
+  assert(`badge label follows the locale → "Do 3:00"`, badge?.label === "Do 3:00", `got ${JSON.stringify(badge?.label)}`);
+
+  assert(
+    `outputFormat leaves unset fields to the browser`,
+    JSON.stringify(outputFormat({ outputLocale: "", hourCycle: "" })) === "{}"
+      && outputFormat({ outputLocale: "fr-FR", hourCycle: "h23" }).locale === "fr-FR"
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RELATIVE TIME
+// ─────────────────────────────────────────────────────────────────────────────
+section("Relative time — phrases, countdowns and next occurrence");
+
+{
+  const now = new Date("2026-01-08T12:00:00Z");
+  const at = (ms) => new Date(now.getTime() + ms);
+  const H = 60 * 60 * 1000;
+
+  const relativeCases = [
+    // [offset from now, locale, expected phrase, expected countdown]
+    [3 * H + 20 * 60 * 1000 + 15 * 1000, "en-US", "in 3 hours", "3h 20m 15s"],
+    [-2 * 24 * H, "en-US", "2 days ago", "2d 0h 0m"],
+    [30 * 1000, "en-US", "now", "30s"],
+    [26 * H, "en-US", "in 1 day", "1d 2h 0m"],
+    [3 * H, "de-DE", "in 3 Stunden", "3 Std. 0 Min. 0 Sek."],
+    [-45 * 60 * 1000, "fr-FR", "il y a 45 minutes", "45min 0s"],
+  ];
+
+  for (const [ms, locale, phrase, countdown] of relativeCases) {
+    const got = [relativeTime(at(ms), now, { locale }), formatCountdown(ms, { locale })];
+    assert(
+      `${locale} ${ms / 60000} min → "${phrase}" / "${countdown}"`,
+      JSON.stringify(got) === JSON.stringify([phrase, countdown]),
+      `got ${JSON.stringify(got)}`
+    );
+  }
+
+  const timingCases = [
+    ["upcoming", at(H), null],
+    ["ongoing", at(-H), at(H)],
+    ["past", at(-2 * H), at(-H)],
+    ["past", at(-H), null],
+  ];
+  for (const [status, start, end] of timingCases) {
+    assert(`eventTiming → ${status}`, eventTiming(start, end, now).status === status);
+  }
+
+  // "Thursday 3pm" repeats weekly, "3pm" daily, a full date never
+  const thursday = { start: makeDate(2026, 1, 1, 15, 0), end: null, dateGiven: "weekday" };
+  const next = nextOccurrence(thursday, "America/New_York", now);
+  assert(
+    `past "Thursday 3pm" → next Thursday Jan 8`,
+    next?.start.toISOString() === "2026-01-08T15:00:00.000Z",
+    `got ${next?.start.toISOString()}`
+  );
+
+  const daily = { start: makeDate(2026, 1, 8, 6, 0), end: makeDate(2026, 1, 8, 7, 0), dateGiven: "none" };
+  const nextDay = nextOccurrence(daily, "America/New_York", now);
+  assert(
+    `past "6-7am" → tomorrow, end moved too`,
+    nextDay?.start.toISOString() === "2026-01-09T06:00:00.000Z" && nextDay?.end.toISOString() === "2026-01-09T07:00:00.000Z",
+    `got ${nextDay?.start.toISOString()}`
+  );
+
+  // Read against a page date fifty years back: jumps there, doesn't walk
+  const oldDaily = { ...daily, start: makeDate(1976, 1, 8, 6, 0), end: makeDate(1976, 1, 8, 7, 0) };
+  const oldThursday = { ...thursday, start: makeDate(1976, 1, 1, 15, 0) };
+  const started = performance.now();
+  for (let i = 0; i < 100; i++) nextOccurrence(oldDaily, "America/New_York", now);
+  const elapsed = performance.now() - started;
+  assert(
+    `an old date's next occurrence is as cheap as a recent one's`,
+    elapsed < 250
+      && nextOccurrence(oldDaily, "America/New_York", now)?.start.toISOString() === "2026-01-09T06:00:00.000Z"
+      && nextOccurrence(oldThursday, "America/New_York", now)?.start.toISOString() === "2026-01-08T15:00:00.000Z",
+    `100 calls took ${Math.round(elapsed)} ms`
+  );
+
+  assert(
+    `no next occurrence for full dates or times still ahead`,
+    nextOccurrence({ ...thursday, dateGiven: "full" }, "America/New_York", now) === null
+      && nextOccurrence({ ...daily, start: makeDate(2026, 1, 8, 9, 0), end: null }, "America/New_York", now) === null
+  );
+
+  const [parsed] = parseSelectedText("Thursday 3pm ET");
+  const [dated] = parseSelectedText("Jan 8 2026 3pm ET");
+  const [bare] = parseSelectedText("3pm ET");
+  assert(
+    `dateGiven → weekday / full / none`,
+    parsed.dateGiven === "weekday" && dated.dateGiven === "full" && bare.dateGiven === "none",
+    `got ${parsed.dateGiven}, ${dated.dateGiven}, ${bare.dateGiven}`
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MEETING PLANNER
+// ─────────────────────────────────────────────────────────────────────────────
+section("Meeting planner — working hours across zones");
+
+{
+  // 10–11am New York on Tue Jan 13 2026 is 15:00 London, 00:00 Wed Tokyo, 20:30 Kolkata
+  const zones = ["America/New_York", "Europe/London", "Asia/Tokyo", "Asia/Kolkata"];
+  const times = [{ start: new Date("2026-01-13T15:00:00Z"), end: new Date("2026-01-13T16:00:00Z") }];
+  const grid = buildPlannerGrid(times, zones);
+
+  assert(
+    `strip starts at midnight in the first zone`,
+    grid.slots.length === 24 && grid.slots[0].toISOString() === "2026-01-13T05:00:00.000Z",
+    `got ${grid.slots[0].toISOString()}`
+  );
+  assert(
+    `the converted hour is the only one selected`,
+    grid.selected.filter(Boolean).length === 1 && grid.selected[10],
+    JSON.stringify(grid.selected)
+  );
+
+  const [ny, london, tokyo, kolkata] = grid.rows;
+  assert(`New York 10:00 is working hours`, ny.cells[10].working && ny.cells[10].wall.getUTCHours() === 10);
+  assert(`London 15:00 is working hours`, london.cells[10].working && london.cells[10].wall.getUTCHours() === 15);
+  assert(
+    `Tokyo is at 00:00 the next day and off`,
+    tokyo.cells[10].wall.getUTCHours() === 0 && tokyo.cells[10].dayDelta === 1 && !tokyo.cells[10].working
+  );
+  assert(
+    `Kolkata keeps its half hour`,
+    kolkata.cells[10].wall.getUTCHours() === 20 && kolkata.cells[10].wall.getUTCMinutes() === 30
+  );
+  assert(`nothing suits all four zones`, grid.overlap.every((all) => !all));
+
+  const pair = buildPlannerGrid(times, ["America/New_York", "Europe/London"]);
+  const shared = pair.overlap.flatMap((all, i) => all ? [i] : []);
+  assert(`New York and London overlap 9am–noon New York time`, JSON.stringify(shared) === "[9,10,11]", JSON.stringify(shared));
+
+  // A night shift that wraps past midnight; New York midnight is 14:00 in Tokyo
+  const night = buildPlannerGrid(times, ["America/New_York", "Asia/Tokyo"], { "Asia/Tokyo": [22, 6] });
+  const tokyoWorking = night.rows[1].cells.flatMap((c, i) => c.working ? [i] : []);
+  assert(
+    `Tokyo 22:00–6:00 wraps midnight`,
+    JSON.stringify(tokyoWorking) === "[8,9,10,11,12,13,14,15]",
+    JSON.stringify(tokyoWorking)
+  );
+
+  // A range that spans several hours marks them all; a bare start marks one
+  const range = buildPlannerGrid(
+    [{ start: new Date("2026-01-13T14:30:00Z"), end: new Date("2026-01-13T17:00:00Z") }],
+    ["America/New_York"]
+  );
+  const marked = range.selected.flatMap((on, i) => on ? [i] : []);
+  assert(`9:30am–noon marks 9, 10 and 11`, JSON.stringify(marked) === "[9,10,11]", JSON.stringify(marked));
+
+  // Spring-forward day has 23 hours in New York; the strip still runs 24 real hours
+  const spring = buildPlannerGrid([{ start: new Date("2026-03-08T15:00:00Z"), end: null }], ["America/New_York"]);
+  const hours = spring.rows[0].cells.map((c) => c.wall.getUTCHours());
+  assert(`spring-forward strip skips 2am`, hours[1] === 1 && hours[2] === 3 && !hours.includes(2), JSON.stringify(hours));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HISTORY
+// ─────────────────────────────────────────────────────────────────────────────
+section("History — retention and search");
+
+{
+  const now = new Date(Date.UTC(2026, 0, 31, 12, 0));
+  const daysAgo = (n) => now.getTime() - n * 24 * 60 * 60 * 1000;
+  const entry = (id, savedAt, fields = {}) => ({
+    id,
+    savedAt,
+    text: "Standup 9am PT",
+    url: "https://example.com/team",
+    title: "Team page",
+    detectedTZ: "America/Los_Angeles",
+    from: "America/Los_Angeles",
+    targets: ["Europe/Berlin"],
+    referenceDate: new Date(savedAt).toISOString(),
+    times: [{ text: "9am", start: "2026-01-13T17:00:00.000Z", end: null }],
+    ...fields,
+  });
+
+  const entries = [
+    entry("a", daysAgo(1)),
+    entry("b", daysAgo(10), { text: "Launch July 15 3pm ET", title: "Release notes", targets: ["Asia/Tokyo", "Europe/London"] }),
+    entry("c", daysAgo(40)),
+  ];
+
+  const kept = pruneHistory(entries, 30, now).map((e) => e.id);
+  assert(`30 days keeps the two recent entries`, JSON.stringify(kept) === '["a","b"]', JSON.stringify(kept));
+  assert(`0 days keeps nothing`, pruneHistory(entries, 0, now).length === 0);
+
+  const many = Array.from({ length: MAX_HISTORY_ENTRIES + 5 }, (_, i) => entry(String(i), daysAgo(0)));
+  assert(`history is capped at ${MAX_HISTORY_ENTRIES} entries, newest kept`, pruneHistory(many, 30, now).at(-1).id === String(MAX_HISTORY_ENTRIES - 1));
+
+  const searchCases = [
+    // [query, expected ids]
+    ["", ["a", "b", "c"]],
+    ["standup", ["a", "c"]],
+    ["launch tokyo", ["b"]],
+    ["RELEASE", ["b"]],
+    ["los angeles", ["a", "b", "c"]],
+    ["example.com", ["a", "b", "c"]],
+    ["standup tokyo", []],
+  ];
+  for (const [query, expected] of searchCases) {
+    const got = searchHistory(entries, query).map((e) => e.id);
+    assert(`searchHistory("${query}") → [${expected}]`, JSON.stringify(got) === JSON.stringify(expected), JSON.stringify(got));
+  }
+
+  const exported = JSON.parse(exportHistory(entries, now));
+  assert(
+    `export carries every entry and its date`,
+    exported.exportedAt === now.toISOString() && exported.entries.length === 3 && exported.entries[1].targets[0] === "Asia/Tokyo"
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RECURRENCE
+// ─────────────────────────────────────────────────────────────────────────────
+section("Recurrence — rules, next dates and DST mismatches");
+
+{
+  const ref = new Date(Date.UTC(2026, 1, 20, 12, 0));
+  const parse = (text) => parseSelectedText(text, { referenceDate: ref, languages: ["en"] });
+
+  const ruleCases = [
+    // [text, RRULE]
+    ["every Tuesday at 10am PT", "FREQ=WEEKLY;BYDAY=TU"],
+    ["weekly on Mon/Wed at 9am ET", "FREQ=WEEKLY;BYDAY=MO,WE"],
+    ["Mondays and Wednesdays at 9am ET", "FREQ=WEEKLY;BYDAY=MO,WE"],
+    ["Standup every Tue & Thu 10:00 PT", "FREQ=WEEKLY;BYDAY=TU,TH"],
+    ["every weekday 8am PT", "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"],
+    ["every other Thursday 4pm BST", "FREQ=WEEKLY;INTERVAL=2;BYDAY=TH"],
+    ["biweekly on Friday 2pm ET", "FREQ=WEEKLY;INTERVAL=2;BYDAY=FR"],
+    ["daily at 9:30am CET", "FREQ=DAILY"],
+    ["monthly on the 15th at 3pm UTC", "FREQ=MONTHLY;BYMONTHDAY=15"],
+    ["the 1st of every month at 10am ET", "FREQ=MONTHLY;BYMONTHDAY=1"],
+  ];
+  for (const [text, rrule] of ruleCases) {
+    const matches = parse(text);
+    const got = matches?.length === 1 && matches[0].recurrence ? toRRule(matches[0].recurrence) : JSON.stringify(matches?.map((m) => m.text));
+    assert(`"${text}" → ${rrule}`, got === rrule, `got ${got}`);
+  }
+
+  assert(`a single "Tuesday at 10am" doesn't repeat`, parse("Tuesday at 10am PT")[0].recurrence === null);
+  assert(`"every 0 days" doesn't repeat`, parse("every 0 days at 9am ET")?.[0]?.recurrence === null);
+
+  const [mondays] = parse("Mondays and Wednesdays at 9am ET");
+  assert(
+    `a rule's time moves to its first matching day`,
+    mondays.start.toISOString() === "2026-02-23T09:00:00.000Z",
+    `got ${mondays.start.toISOString()}`
+  );
+
+  const [sessionA, sessionB] = parse("Session A every Monday 9am, Session B every Friday 2pm");
+  assert(
+    `each rule goes with its own time`,
+    sessionA.recurrence.byDay.join() === "MO" && sessionB.recurrence.byDay.join() === "FR"
+  );
+
+  const [friday] = parse("We meet on Sundays. Next call Friday 3pm ET");
+  assert(
+    `a rule in another sentence doesn't move a given weekday`,
+    friday.recurrence === null && friday.start.getUTCDay() === 5,
+    `got ${friday.start.toISOString()} ${JSON.stringify(friday.recurrence)}`
+  );
+
+  assert(
+    `describeRecurrence reads like a sentence`,
+    describeRecurrence(parse("every Tue & Thu 10:00 PT")[0].recurrence, "en-US") === "Every Tuesday and Thursday"
+      && describeRecurrence(parse("biweekly on Friday 2pm ET")[0].recurrence, "en-US") === "Every other week on Friday"
+      && describeRecurrence(parse("every weekday 8am PT")[0].recurrence, "en-US") === "Every weekday"
+  );
+
+  // 10am Pacific every Tuesday is 7pm in Berlin, except in the weeks the US
+  // has changed its clocks and Europe hasn't (Mar 8–29 and Oct 25–Nov 1, 2026)
+  const [tuesday] = parse("every Tuesday at 10am PT");
+  const occurrences = recurrenceOccurrences(tuesday, "America/Los_Angeles", { now: ref });
+  assert(
+    `next Tuesdays are weekly from now on`,
+    occurrences.length === 52 && occurrences[0].startUTC.toISOString() === "2026-02-24T18:00:00.000Z"
+      && occurrences[1].startUTC.toISOString() === "2026-03-03T18:00:00.000Z",
+    `got ${occurrences.slice(0, 2).map((o) => o.startUTC.toISOString())}`
+  );
+  assert(`count limits the dates`, recurrenceOccurrences(tuesday, "America/Los_Angeles", { now: ref, count: 6 }).length === 6);
+
+  const changes = localTimeChanges(occurrences, "America/Los_Angeles", "Europe/Berlin");
+  const summary = changes.map((c) => `${c.first.start.toISOString().slice(0, 10)}×${c.count}:${c.minutes}`);
+  assert(
+    `US/EU gap moves three March Tuesdays and one in October an hour earlier`,
+    JSON.stringify(summary) === '["2026-03-10×3:-60","2026-10-27×1:-60"]',
+    JSON.stringify(summary)
+  );
+  assert(
+    `no changes between zones that share their DST dates`,
+    localTimeChanges(occurrences, "America/Los_Angeles", "America/New_York").length === 0
+  );
+
+  const next = nextOccurrence({ ...mondays, start: makeDate(2026, 2, 18, 9, 0) }, "America/New_York", ref);
+  assert(
+    `nextOccurrence follows the rule, not the weekday`,
+    next?.start.toISOString() === "2026-02-23T09:00:00.000Z",
+    `got ${next?.start.toISOString()}`
+  );
+
+  const ics = buildICS([{
+    summary: "Standup",
+    start: occurrences[0].startUTC,
+    end: eventEnd(occurrences[0].startUTC, null),
+    tzid: "America/Los_Angeles",
+    rrule: toRRule(tuesday.recurrence),
+  }], { now: ref });
+  assert(
+    `.ics repeats on the source zone's wall clock`,
+    ics.includes("DTSTART;TZID=America/Los_Angeles:20260224T100000\r\n") && ics.includes("RRULE:FREQ=WEEKLY;BYDAY=TU\r\n"),
+    ics
+  );
+
+  const vtimezone = ics.slice(ics.indexOf("BEGIN:VTIMEZONE"), ics.indexOf("END:VTIMEZONE"));
+  assert(
+    `.ics describes the TZID it uses in a VTIMEZONE`,
+    ics.indexOf("BEGIN:VTIMEZONE") < ics.indexOf("BEGIN:VEVENT")
+      && vtimezone.includes("TZID:America/Los_Angeles\r\n")
+      && vtimezone.includes("BEGIN:DAYLIGHT\r\nDTSTART:20260308T020000\r\nTZOFFSETFROM:-0800\r\nTZOFFSETTO:-0700\r\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU\r\n")
+      && vtimezone.includes("BEGIN:STANDARD\r\nDTSTART:20261101T020000\r\nTZOFFSETFROM:-0700\r\nTZOFFSETTO:-0800\r\nRRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU\r\n"),
+    ics
+  );
+
+  const google = new URL(googleCalendarUrl({ summary: "Standup", start: occurrences[0].startUTC, end: occurrences[0].startUTC, tzid: "America/Los_Angeles", rrule: "FREQ=WEEKLY;BYDAY=TU" }));
+  assert(
+    `Google Calendar link repeats in the source zone`,
+    google.searchParams.get("recur") === "RRULE:FREQ=WEEKLY;BYDAY=TU" && google.searchParams.get("ctz") === "America/Los_Angeles",
+    google.href
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DURATIONS
+// ─────────────────────────────────────────────────────────────────────────────
+section("Durations — end times from a stated length");
+
+{
+  const ref = new Date(Date.UTC(2026, 1, 20, 12, 0));
+  const parse = (text) => parseSelectedText(text, { referenceDate: ref, languages: ["en"] });
+
+  const durationCases = [
+    // [text, expected end (wall clock), duration text]
+    ["July 15 3pm ET for 90 minutes", "2026-07-15T16:30", "for 90 minutes"],
+    ["Webinar July 15 3pm ET (2h)", "2026-07-15T17:00", "(2h)"],
+    ["a 90-minute workshop on July 15 at 3pm ET", "2026-07-15T16:30", "90-minute"],
+    ["Jul 15 3pm ET, lasts 3 hours", "2026-07-15T18:00", "lasts 3 hours"],
+    ["July 15 3pm ET for 45 min", "2026-07-15T15:45", "for 45 min"],
+    ["July 15 3pm ET for an hour and a half", "2026-07-15T16:30", "for an hour and a half"],
+    ["July 15 3pm ET (1h 30m)", "2026-07-15T16:30", "(1h 30m)"],
+    ["two-hour session July 15 at 3pm ET", "2026-07-15T17:00", "two-hour"],
+    ["July 15 3pm ET for half an hour", "2026-07-15T15:30", "for half an hour"],
+  ];
+  for (const [text, end, durationText] of durationCases) {
+    const matches = parse(text);
+    const [match] = matches ?? [];
+    const got = match?.end?.toISOString().slice(0, 16);
+    assert(
+      `"${text}" → ends ${end.slice(11)}`,
+      matches?.length === 1 && got === end && match.duration?.text === durationText && match.hasRange,
+      `got ${JSON.stringify(matches?.map((m) => [m.text, m.end?.toISOString(), m.duration]))}`
+    );
+  }
+
+  const [explicit] = parse("July 15 3-4pm ET (2h)");
+  assert(`a written end wins over a duration`, explicit.end.toISOString().slice(11, 16) === "16:00" && explicit.duration === null);
+
+  const [talkA, talkB] = parse("Talk A 3pm ET (45 min), Talk B 4pm ET (30 min)");
+  assert(
+    `each time takes the duration after it`,
+    talkA.duration?.minutes === 45 && talkB.duration?.minutes === 30,
+    JSON.stringify([talkA.duration, talkB.duration])
+  );
+
+  assert(`"2 hours ago" isn't a length`, parse("July 15 3pm ET, posted 2 hours ago")[0].end === null);
+  assert(`a duration alone isn't a time`, parse("for 90 minutes") === null);
+  assert(`nor is one that rounds to nothing`, parse("for 0.1 minutes") === null);
+
+  const [zero] = parse("July 15 3pm ET for 0.1 minutes");
+  assert(`a zero-minute duration gives no end`, zero.end === null && zero.duration === null, JSON.stringify(zero));
+
+  // 1:30am + 90 minutes on spring-forward day is 4:00am EDT, not 3:00
+  const [spring] = parse("Mar 8 2026 1:30am ET for 90 minutes");
+  const conv = convertParsed(spring, "America/New_York", "UTC");
+  assert(
+    `a duration is real time across a DST change`,
+    conv.endUTC.toISOString() === "2026-03-08T08:00:00.000Z",
+    `got ${conv.endUTC?.toISOString()}`
+  );
+
+  const [webinar] = parse("Webinar July 15 3pm ET (2h)");
+  const converted = convertParsed(webinar, "America/New_York", "Europe/London", { locale: "en-GB" });
+  assert(
+    `the conversion and calendar end follow the duration`,
+    converted.displayTime === "20:00 – 22:00" && eventEnd(converted.startUTC, converted.endUTC).toISOString() === "2026-07-15T21:00:00.000Z",
+    `got ${converted.displayTime}`
+  );
+}
+
+section("Explanations — certain and implied parts, spans and confidence");
+
+{
+  const ref = new Date(Date.UTC(2026, 1, 20, 12, 0));
+  const explain = (text) => parseSelectedText(text, { referenceDate: ref, languages: ["en"] })?.[0]?.explanation;
+
+  const dateOnly = explain("Launch on July 15 ET");
+  assert(
+    `a date alone implies its time`,
+    dateOnly.certain.includes("month") && dateOnly.certain.includes("day") && dateOnly.implied.includes("hour") && dateOnly.assumptions.includes("time"),
+    JSON.stringify(dateOnly)
+  );
+
+  const bare = explain("Call at 3 ET on July 15");
+  assert(`"at 3" guesses AM or PM`, bare.assumptions.includes("meridiem"), JSON.stringify(bare.assumptions));
+  assert(`"3pm" doesn't`, !explain("Call at 3pm ET on July 15").assumptions.includes("meridiem"));
+  assert(`"15:00" doesn't`, !explain("Call at 15:00 ET on July 15").assumptions.includes("meridiem"));
+
+  const full = explain("Standup July 15 at 3pm ET");
+  assert(
+    `spans cover the time and the zone`,
+    JSON.stringify(full.spans) === JSON.stringify([
+      { index: 8, end: 25, kind: "time" },
+      { index: 23, end: 25, kind: "zone" },
+    ]) && full.zoneKey === "ET",
+    JSON.stringify(full.spans)
+  );
+  assert(`a fully given time is fully confident`, full.confidence === 1 && full.assumptions.length === 0, JSON.stringify(full));
+
+  const rule = explain("every Tuesday at 9am PT for 1 hour");
+  assert(
+    `recurrence and duration spans are included`,
+    rule.spans.some((s) => s.kind === "recurrence" && s.index === 0 && s.end === 13)
+      && rule.spans.some((s) => s.kind === "duration" && s.index === 24),
+    JSON.stringify(rule.spans)
+  );
+
+  const ranked = ["Standup July 15 at 3pm ET", "Standup July 15 at 3pm", "3pm IST", "Call at 3", "July 15"].map((t) => explain(t).confidence);
+  assert(
+    `confidence drops with each assumption`,
+    ranked.every((c, i) => i === 0 || c < ranked[i - 1]),
+    JSON.stringify(ranked)
+  );
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SUMMARY
 // ─────────────────────────────────────────────────────────────────────────────